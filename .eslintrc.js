@@ -8,6 +8,7 @@ module.exports = {
     'extends': 'eslint:recommended',
     'globals': {
         'Atomics': 'readonly',
+        'BigInt': 'readonly',
         'SharedArrayBuffer': 'readonly',
     },
     'parserOptions': {
@@ -6,11 +6,64 @@ const Big = require('big.js');
  */
 const currencyNumberFormats = new Map();
 
+/**
+ * The {@link CurrencyRegistry} of each Money class.
+ * @type {WeakMap<Function,CurrencyRegistry>}
+ */
+const currencyRegistries = new WeakMap();
+
+/**
+ * The classes created by {@link Money.configure}. Like Money, their constructor freezes the money.
+ * @type {WeakSet<Function>}
+ */
+const configuredClasses = new WeakSet();
+
+/**
+ * The amount of each Money instance. The Big is kept here so that it cannot be mutated.
+ * @type {WeakMap<Money,Big>}
+ */
+const moneyAmounts = new WeakMap();
+
+/**
+ * Sets the amount, currency and scale of money that is being created.
+ * The currency and scale cannot be changed afterwards, even if a subclass does not freeze the money.
+ * @param {Money} money
+ * @param {Big} amount
+ * @param {string} currency
+ * @param {number} scale
+ * @returns {Money}
+ */
+function initializeMoney(money, amount, currency, scale) {
+    if (moneyAmounts.has(money)) {
+        throw new TypeError('Cannot initialize money twice.');
+    }
+    moneyAmounts.set(money, amount);
+    Object.defineProperty(money, 'currency', { value: currency, enumerable: true, writable: false, configurable: false });
+    Object.defineProperty(money, 'scale', { value: scale, enumerable: true, writable: false, configurable: false });
+    return money;
+}
+
+/**
+ * The non-zero money by currency of each MoneyBag. The map is kept here so that it cannot be mutated.
+ * @type {WeakMap<MoneyBag,Map<string,Money>>}
+ */
+const bagMoneys = new WeakMap();
+
+/**
+ * The first four modes are the rounding modes of Big. Directions refer to the
+ * absolute value, e.g. down rounds toward zero and ceiling toward +infinity.
+ */
 const RoundingMode = Object.freeze({
     down: 0,
     up: 3,
     halfUp: 1,
     halfEven: 2,
+    ceiling: 4,
+    floor: 5,
+    halfDown: 6,
+    halfOdd: 7,
+    halfCeiling: 8,
+    halfFloor: 9,
 });
 
 const PrecisionHandling = Object.freeze({
@@ -19,291 +72,5050 @@ const PrecisionHandling = Object.freeze({
     show_imprecision: 'show_imprecision',
 });
 
-class Money {
-    /**
-     * @param {any} amount
-     * @param {string} currency
-     */
-    constructor(amount, currency, roundingMode) {
-        // Validate and normalize currency.
-        const numberFormatEntry = NumberFormatEntry.get(currency);
-        currency = numberFormatEntry.options.currency;
+const JsonFormat = Object.freeze({
+    decimal: 'decimal',
+    minorUnits: 'minorUnits',
+});
 
-        // Parse and round decimal digits according to the currency.
-        const parsedAmount = this.constructor.parseAmount(amount);
-        const roundedAmount = this.constructor.roundCurrencyFraction(parsedAmount, currency, roundingMode);
+/**
+ * Minor unit conventions of payment processors that differ from ISO 4217.
+ * Currencies not listed use the fraction digits of ISO 4217.
+ */
+const MinorUnitProfile = Object.freeze({
+    iso: Object.freeze({
+        name: 'iso',
+        fractionDigits: Object.freeze({}),
+    }),
+    // Stripe requires ISK and UGX to be sent with 2 decimals for backwards compatibility.
+    stripe: Object.freeze({
+        name: 'stripe',
+        fractionDigits: Object.freeze({
+            ISK: 2,
+            UGX: 2,
+        }),
+    }),
+});
 
-        this.amount = roundedAmount;
-        this.currency = currency;
-    }
+/**
+ * How the constructor rounds amounts. Cash rounding uses the smallest
+ * increment that can be paid in cash, e.g. 0.05 for CHF.
+ */
+const CurrencyRounding = Object.freeze({
+    standard: 'standard',
+    cash: 'cash',
+});
 
-    static create(amount, currency) {
-        return new this(amount, currency);
-    }
+/**
+ * Cash rounding increments of currencies whose smallest coin is larger than the minor unit.
+ */
+const cashIncrements = Object.freeze({
+    AUD: '0.05',
+    CAD: '0.05',
+    CHF: '0.05',
+    CZK: '1',
+    DKK: '0.5',
+    HUF: '5',
+    ILS: '0.1',
+    NOK: '1',
+    NZD: '0.1',
+    SEK: '1',
+});
 
-    static createUnchecked(amount, currency) {
-        let money = Object.create(this.prototype);
-        money.amount = amount;
-        money.currency = currency;
-        return money;
-    }
+/**
+ * Where taxes are rounded. Rounding per line may result in a different total
+ * tax than rounding per group of the same tax or once per document.
+ */
+const TaxRounding = Object.freeze({
+    line: 'line',
+    group: 'group',
+    document: 'document',
+});
 
-    add(other) {
-        return this.constructor.applyUnitOp('plus', this, other);
-    }
+/**
+ * How a loan is repaid. Annuity loans have equal payments, linear loans repay
+ * equal parts of the principal and interest-only loans repay the principal
+ * with the final payment.
+ */
+const AmortizationType = Object.freeze({
+    annuity: 'annuity',
+    linear: 'linear',
+    interestOnly: 'interestOnly',
+});
 
-    sub(other) {
-        return this.constructor.applyUnitOp('minus', this, other);
-    }
+/**
+ * Number of payments per year.
+ */
+const PaymentFrequency = Object.freeze({
+    annually: 1,
+    semiannually: 2,
+    quarterly: 4,
+    monthly: 12,
+    biweekly: 26,
+    weekly: 52,
+});
 
-    mul(n, roundingMode) {
-        return this.constructor.applyScalarOp('times', this, n, roundingMode);
-    }
+/**
+ * How {@link Money#toWords} writes the minor units: in words, in digits or as
+ * a fraction of the major unit like on cheques.
+ */
+const WordsStyle = Object.freeze({
+    words: 'words',
+    digits: 'digits',
+    cheque: 'cheque',
+});
 
-    div(n, roundingMode) {
-        return this.constructor.applyScalarOp('div', this, n, roundingMode);
-    }
+/**
+ * The direction of a bank statement entry.
+ */
+const CreditDebit = Object.freeze({
+    credit: 'credit',
+    debit: 'debit',
+});
 
-    mod(other) {
-        return this.constructor.applyUnitOp('mod', this, other);
-    }
+/**
+ * The type of a ledger account. Debits increase assets and expenses,
+ * credits increase liabilities, equity and income.
+ */
+const AccountType = Object.freeze({
+    asset: 'asset',
+    liability: 'liability',
+    equity: 'equity',
+    income: 'income',
+    expense: 'expense',
+});
 
-    eq(other) {
-        return this.currency === other.currency && this.amount.eq(other.amount);
-    }
+const AllocationMode = Object.freeze({
+    largestRemainder: 'largestRemainder',
+    firstFirst: 'firstFirst',
+    random: 'random',
+});
 
-    lt(other) {
-        return this.constructor.applyCmpOp('lt', this, other);
+/**
+ * Matches every error thrown by this library for invalid input. The error classes extend
+ * Error or RangeError, so they are not subclasses of MoneyError, but `instanceof MoneyError`
+ * is true for all of them.
+ */
+class MoneyError extends Error {
+    static [Symbol.hasInstance](value) {
+        if (Function.prototype[Symbol.hasInstance].call(this, value)) {
+            return true;
+        }
+        return this === MoneyError && moneyErrorClasses.some(errorClass => value instanceof errorClass);
     }
+}
 
-    lte(other) {
-        return this.constructor.applyCmpOp('lte', this, other);
+/**
+ * Thrown if money of different currencies is combined.
+ */
+class CurrencyMismatchError extends Error {
+    /**
+     * @param {string} message
+     * @param {{operation: string, currencies: string[], operands?: Money[]}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'CurrencyMismatchError';
+        this.code = 'CURRENCY_MISMATCH';
+        this.operation = details.operation;
+        this.currencies = details.currencies;
+        this.operands = details.operands !== undefined ? details.operands : [];
     }
+}
 
-    gt(other) {
-        return this.constructor.applyCmpOp('gt', this, other);
+/**
+ * Thrown if money of different scales is combined.
+ */
+class ScaleMismatchError extends Error {
+    /**
+     * @param {string} message
+     * @param {{operation: string, scales: number[], operands?: Money[]}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'ScaleMismatchError';
+        this.code = 'SCALE_MISMATCH';
+        this.operation = details.operation;
+        this.scales = details.scales;
+        this.operands = details.operands !== undefined ? details.operands : [];
     }
+}
 
-    gte(other) {
-        return this.constructor.applyCmpOp('gte', this, other);
+/**
+ * Thrown if an amount cannot be parsed or has too many fraction digits.
+ */
+class InvalidAmountError extends RangeError {
+    /**
+     * @param {string} message
+     * @param {{amount: *}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'InvalidAmountError';
+        this.code = 'INVALID_AMOUNT';
+        this.amount = details.amount;
     }
+}
 
-    cmp(other) {
-        return this.constructor.applyCmpOp('cmp', this, other);
+/**
+ * Thrown if a currency is unknown or invalid.
+ */
+class InvalidCurrencyError extends RangeError {
+    /**
+     * @param {string} message
+     * @param {{currency: *}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'InvalidCurrencyError';
+        this.code = 'INVALID_CURRENCY';
+        this.currency = details.currency;
     }
+}
 
-    abs() {
-        return this.constructor.createUnchecked(this.amount.abs(), this.currency);
+/**
+ * Thrown if money cannot be accurately represented by an ECMAScript Number.
+ */
+class UnsafeNumberError extends RangeError {
+    /**
+     * @param {string} message
+     * @param {{money: Money}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'UnsafeNumberError';
+        this.code = 'UNSAFE_NUMBER';
+        this.money = details.money;
     }
+}
 
-    ratioOf(other) {
-        verifyCompatibleCurrency('ratioOf', this.currency, other.currency);
-        return this.amount.div(other.amount);
+/**
+ * Thrown if money is divided by zero.
+ */
+class DivisionByZeroError extends RangeError {
+    /**
+     * @param {string} message
+     * @param {{operation: string, dividend: Money, divisor: *}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'DivisionByZeroError';
+        this.code = 'DIVISION_BY_ZERO';
+        this.operation = details.operation;
+        this.dividend = details.dividend;
+        this.divisor = details.divisor;
     }
+}
 
-    toString() {
-        return `${this.currency} ${this.toDecimalString()}`;
+/**
+ * Thrown if an option has an invalid value.
+ */
+class InvalidOptionError extends RangeError {
+    /**
+     * @param {string} message
+     * @param {{option: string, value: *}} details
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'InvalidOptionError';
+        this.code = 'INVALID_OPTION';
+        this.option = details.option;
+        this.value = details.value;
     }
+}
 
-    toLocaleString(locale, options) {
-        const formatOptions = Object.assign({
-            style: 'currency',
-            currency: this.currency,
-        }, options);
-
-        // If number is formatted as currency then the currency code cannot be overwritten.
-        if (formatOptions.style === 'currency' && formatOptions.currency !== this.currency) {
-            throw new Error('Overriding the currency via the \'currency\' option is not allowed.');
-        }
+const moneyErrorClasses = [
+    CurrencyMismatchError,
+    ScaleMismatchError,
+    InvalidAmountError,
+    InvalidCurrencyError,
+    UnsafeNumberError,
+    DivisionByZeroError,
+    InvalidOptionError,
+];
 
-        let precisionHandling = formatOptions.precisionHandling;
-        if (precisionHandling === undefined) {
-            precisionHandling = PrecisionHandling.safe;
-        } else {
-            if (!Object.prototype.hasOwnProperty.call(PrecisionHandling, precisionHandling)) {
-                throw new Error(`Invalid value for option precisionHandling: ${precisionHandling}`);
+class Money {
+    /**
+     * @param {any} amount
+     * @param {string} currency
+     * @param {number|{roundingMode?: number, rounding?: string, scale?: number}} [roundingMode] A rounding mode or options.
+     * The scale is the number of fraction digits to keep. It defaults to the fraction digits of the currency.
+     */
+    constructor(amount, currency, roundingMode) {
+        let rounding = CurrencyRounding.standard;
+        let scale = undefined;
+        if (roundingMode !== null && typeof roundingMode === 'object') {
+            rounding = roundingMode.rounding !== undefined ? roundingMode.rounding : rounding;
+            scale = roundingMode.scale;
+            roundingMode = roundingMode.roundingMode;
+            if (!Object.prototype.hasOwnProperty.call(CurrencyRounding, rounding)) {
+                throw new InvalidOptionError(`Invalid value for option rounding: ${rounding}`, { option: 'rounding', value: rounding });
             }
-            // Do not expose custom option.
-            delete formatOptions.precisionHandling;
         }
 
-        let number = null;
-        if (precisionHandling === PrecisionHandling.unchecked || precisionHandling === PrecisionHandling.show_imprecision) {
-            number = this.toNumberUnchecked();
+        // Validate and normalize currency and scale.
+        currency = normalizeCurrency(currency, this.constructor.currencyRegistry);
+        scale = normalizeScale(scale, currency, this.constructor.currencyRegistry);
+
+        // Parse and round decimal digits according to the scale.
+        const parsedAmount = this.constructor.parseAmount(amount);
+        let roundedAmount = null;
+        if (rounding === CurrencyRounding.cash) {
+            const cashIncrement = getCashIncrement(currency, this.constructor.currencyRegistry);
+            roundedAmount = this.constructor.roundIncrement(parsedAmount, cashIncrement, roundingMode);
         } else {
-            number = this.toSafeNumber(); // Might throw
+            roundedAmount = this.constructor.roundScale(parsedAmount, scale, roundingMode);
         }
 
-        const formatted = number.toLocaleString(locale, formatOptions);
-        if (precisionHandling === PrecisionHandling.show_imprecision && !this.isSafeNumber()) {
-            return this.formatImprecision(formatted, locale, formatOptions);
+        initializeMoney(this, roundedAmount, currency, scale);
+        // Subclasses may assign their own properties after calling super() and freeze the money themselves.
+        if (new.target === Money || configuredClasses.has(new.target)) {
+            Object.freeze(this);
         }
-        return formatted;
     }
 
     /**
-     * @protected
-     * @param {*} formatted
-     * @param {*} locale
-     * @param {*} options
+     * A copy of the amount.
+     * @returns {Big}
      */
-    formatImprecision(formatted) {
-        return '~\u00A0' + formatted;
+    get amount() {
+        return new this.constructor.Big(getAmount(this));
     }
 
-    toDecimalString() {
-        return this.amount.toFixed();
+    static create(amount, currency) {
+        return new this(amount, currency);
     }
 
-    toSafeNumber() {
-        const number = this.toSafeNumberOrNull();
-        if (number === null) {
-            throw new RangeError(`Cannot format Money using the 'toLocaleString' because the amount ${this.amount.toFixed()} cannot be accurately represented by an ECMAScript Number.`);
-        }
-        return number;
+    /**
+     * Parses a formatted money string like the output of {@link Money#toLocaleString}.
+     * The currency may be omitted if the string contains its ISO 4217 code.
+     * @param {string} string
+     * @param {{locale?: string|string[], currency?: string}} [options]
+     */
+    static parse(string, options) {
+        const { locale, currency } = options || {};
+        const parsed = parseLocaleAmount(string, locale, currency, this.currencyRegistry);
+        return new this(parsed.amount, parsed.currency);
     }
 
-    toSafeNumberOrNull() {
-        // Round trip from Big to Number to Big and check for equality.
-        // Could probably be implemented more efficiently but this works.
-        const amount = this.amount;
-        const fixed = amount.toFixed();
-        const number = Number.parseFloat(fixed);
-        const big = this.constructor.roundCurrencyFraction(new this.constructor.Big(number), this.currency);
-        if (amount.eq(big)) {
-            return number;
-        } else {
-            return null;
+    /**
+     * Creates money from its JSON representation as returned by {@link Money#toJSON}.
+     * Both the decimal and the minor unit format are accepted. Amounts with more
+     * fraction digits than the currency or the scale allows are rejected instead of rounded.
+     * @param {{amount: string, currency: string, scale?: number}|{minorUnits: number, currency: string, scale?: number}} json
+     */
+    static fromJSON(json) {
+        if (!isMoneyJSON(json)) {
+            throw new TypeError(`Invalid money JSON: ${JSON.stringify(json)}`);
         }
+        if (json.minorUnits !== undefined) {
+            if (json.scale === undefined) {
+                return this.fromMinorUnits(json.minorUnits, json.currency);
+            }
+            // With a scale, the minor units are counted at the scale.
+            const currency = normalizeCurrency(json.currency, this.currencyRegistry);
+            const scale = normalizeScale(json.scale, currency, this.currencyRegistry);
+            const amount = new this.Big(getMinorUnitDigits(json.minorUnits)).times(new this.Big(`1e-${scale}`));
+            return this.createFromBig(amount, currency, scale);
+        }
+        const currency = normalizeCurrency(json.currency, this.currencyRegistry);
+        const amount = this.parseAmount(json.amount);
+        if (json.scale === undefined) {
+            verifyCurrencyFraction(amount, currency, this.currencyRegistry);
+        }
+        return this.createFromBig(amount, currency, json.scale);
     }
 
-
-    toNumberUnchecked() {
-        const amount = this.amount;
-        const fixed = amount.toFixed();
-        const number = Number.parseFloat(fixed);
-        return number;
-    }
-
-    convertCurrency(currency, ratio) {
-        return new this.constructor(this.amount.times(ratio), currency);
+    /**
+     * Creates money from an integer number of minor units, e.g. 1999 for USD 19.99.
+     * @param {number|bigint} minorUnits A safe integer or a BigInt.
+     * @param {string} currency
+     * @param {string|{fractionDigits: Object<string,number>}} [profile] A {@link MinorUnitProfile} or its name. Defaults to ISO 4217.
+     */
+    static fromMinorUnits(minorUnits, currency, profile) {
+        const digits = getMinorUnitDigits(minorUnits);
+        currency = normalizeCurrency(currency, this.currencyRegistry);
+        const fractionDigits = getMinorUnitFractionDigits(currency, profile, this.currencyRegistry);
+        const amount = new this.Big(digits).times(new this.Big(`1e-${fractionDigits}`));
+        verifyCurrencyFraction(amount, currency, this.currencyRegistry);
+        return this.createFromBig(amount, currency);
     }
 
-    isSafeNumber() {
-        return this.toSafeNumberOrNull() !== null;
+    /**
+     * Creates money from an ISO 20022 amount element like <InstdAmt Ccy="EUR">1234.56</InstdAmt>.
+     * @param {string} xml
+     * @param {{totalDigits?: number, fractionDigits?: number}} [options] The limits of the amount type,
+     * by default 18 total and 5 fraction digits.
+     */
+    static fromIso20022(xml, options) {
+        const match = typeof xml === 'string' ? xml.match(iso20022ElementPattern) : null;
+        if (match === null) {
+            throw new TypeError(`Invalid ISO 20022 amount element: ${xml}`);
+        }
+        return this.fromIso20022Amount(match[4], match[3], options);
     }
 
-    isZero() {
-        return isBigZero(this.amount);
+    /**
+     * Creates money from the decimal amount of an ISO 20022 message, e.g. '1234.56'.
+     * @param {string} amount
+     * @param {string} currency
+     * @param {{totalDigits?: number, fractionDigits?: number}} [options] The limits of the amount type,
+     * by default 18 total and 5 fraction digits.
+     */
+    static fromIso20022Amount(amount, currency, options) {
+        const { totalDigits, fractionDigits } = normalizeIso20022Options(options);
+        if (typeof amount !== 'string' || !/^[0-9]+(\.[0-9]+)?$/.test(amount)) {
+            throw new InvalidAmountError(`Invalid ISO 20022 amount: ${amount}`, { amount });
+        }
+        currency = normalizeCurrency(currency, this.currencyRegistry);
+        const big = new this.Big(amount);
+        if (!fitsDigits(big, totalDigits, fractionDigits)) {
+            throw new InvalidAmountError(`ISO 20022 amount ${amount} exceeds ${totalDigits} total or ${fractionDigits} fraction digits.`, { amount });
+        }
+        verifyCurrencyFraction(big, currency, this.currencyRegistry);
+        return this.createFromBig(big, currency);
     }
 
-    isNegative() {
-        return this.sign() < 0;
+    /**
+     * Creates money from a SWIFT MT currency and amount like 'EUR1234,56' as in field 32B
+     * or after the date of field 32A.
+     * @param {string} value
+     */
+    static fromSwift(value) {
+        const match = typeof value === 'string' ? value.match(/^([A-Z]{3})([0-9,]*)$/) : null;
+        if (match === null) {
+            throw new InvalidAmountError(`Invalid SWIFT currency and amount: ${value}`, { amount: value });
+        }
+        return this.fromSwiftAmount(match[2], match[1]);
     }
 
-    isPositive() {
-        return this.sign() > 0;
+    /**
+     * Creates money from a SWIFT MT amount like '1234,56'.
+     * @param {string} amount
+     * @param {string} currency
+     */
+    static fromSwiftAmount(amount, currency) {
+        if (typeof amount !== 'string' || !/^[0-9]+,[0-9]*$/.test(amount) || amount.length > swiftAmountLength) {
+            throw new InvalidAmountError(`Invalid SWIFT amount: ${amount}`, { amount });
+        }
+        currency = normalizeCurrency(currency, this.currencyRegistry);
+        const big = new this.Big(amount.replace(/,$/, '').replace(',', '.'));
+        verifyCurrencyFraction(big, currency, this.currencyRegistry);
+        return this.createFromBig(big, currency);
     }
 
-    sign() {
-        return isBigZero(this.amount) ? 0 : this.amount.s;
+    /**
+     * A reviver for JSON.parse that turns every money JSON object into money.
+     * @returns {(key: string, value: any) => any}
+     */
+    static get reviver() {
+        return (key, value) => isMoneyJSON(value) ? this.fromJSON(value) : value;
     }
 
-    hasSameCurrency(other) {
-        return this.currency === other.currency;
+    /**
+     * The format used by {@link Money#toJSON}. Override to change the wire format.
+     * @returns {string}
+     */
+    static get jsonFormat() {
+        return JsonFormat.decimal;
     }
 
-    static get defaultRoundingMode() {
-        return this.Big.RM;
+    /**
+     * Sums up a list of money of the same currency.
+     * @param {Money[]} list
+     * @param {string} [currency] Required if the list may be empty.
+     */
+    static sum(list, currency) {
+        if (list.length === 0 && currency === undefined) {
+            throw new InvalidCurrencyError('Cannot sum an empty list without a currency.', { currency });
+        }
+        if (currency !== undefined) {
+            currency = normalizeCurrency(currency, this.currencyRegistry);
+        }
+        currency = verifyListCurrency('sum', list, currency);
+        const scale = verifyListScale('sum', list);
+        const amount = list.reduce((sum, money) => sum.plus(getAmount(money)), new this.Big(0));
+        return this.createFromBig(amount, currency, scale);
     }
 
-    static get Big() {
-        return Big;
+    /**
+     * @param {Money[]} list
+     * @returns {Money} The smallest money in the list.
+     */
+    static min(list) {
+        verifyNonEmptyList('min', list);
+        verifyListCurrency('min', list);
+        return list.reduce((min, money) => getAmount(money).lt(getAmount(min)) ? money : min);
     }
 
     /**
-     * @private
+     * @param {Money[]} list
+     * @returns {Money} The largest money in the list.
      */
-    static roundCurrencyFraction(big, currency, roundingMode) {
-        const fractionDigits = getCurrencyFractionDigits(currency);
-        roundingMode = roundingMode !== undefined ? roundingMode : this.defaultRoundingMode;
-        return big.round(fractionDigits, roundingMode);
+    static max(list) {
+        verifyNonEmptyList('max', list);
+        verifyListCurrency('max', list);
+        return list.reduce((max, money) => getAmount(money).gt(getAmount(max)) ? money : max);
     }
 
     /**
-     * @private
+     * The arithmetic mean. The exact sum is divided and rounded once.
+     * @param {Money[]} list
+     * @param {number} [roundingMode]
      */
-    static applyUnitOp(op, self, other) {
-        verifyCompatibleCurrency(op, self.currency, other.currency);
-        let amount = self.amount[op](other.amount);
-        return this.createUnchecked(amount, self.currency);
+    static average(list, roundingMode) {
+        verifyNonEmptyList('average', list);
+        const currency = verifyListCurrency('average', list);
+        const scale = verifyListScale('average', list);
+        const sum = list.reduce((sum, money) => sum.plus(getAmount(money)), new this.Big(0));
+        const amount = this.roundScale(sum.div(list.length), scale, roundingMode);
+        return this.createFromBig(amount, currency, scale);
     }
 
     /**
-     * @private
+     * @param {Money[]} list
+     * @param {number} [roundingMode] Used if the median lies between two amounts.
      */
-    static applyScalarOp(op, self, n, roundingMode) {
-        const currency = self.currency;
-        let amount = self.amount[op](n);
-        amount = this.roundCurrencyFraction(amount, currency, roundingMode);
-        return this.createUnchecked(amount, currency);
+    static median(list, roundingMode) {
+        return this.percentile(list, 50, roundingMode);
     }
 
     /**
-     * @private
+     * The p-th percentile with linear interpolation between the closest ranks,
+     * like PERCENTILE.INC in spreadsheets. The interpolated amount is rounded once.
+     * @param {Money[]} list
+     * @param {number|string|Big} p Between 0 and 100.
+     * @param {number} [roundingMode]
      */
-    static applyCmpOp(op, self, other) {
-        verifyCompatibleCurrency(op, self.currency, other.currency);
-        return self.amount[op](other.amount);
+    static percentile(list, p, roundingMode) {
+        const bigP = this.parseAmount(p);
+        if (bigP.lt(0) || bigP.gt(100)) {
+            throw new InvalidAmountError(`Invalid percentile: ${p}`, { amount: p });
+        }
+        verifyNonEmptyList('percentile', list);
+        const currency = verifyListCurrency('percentile', list);
+        const scale = verifyListScale('percentile', list);
+        const sorted = list.map(money => getAmount(money)).sort((a, b) => a.cmp(b));
+        const rank = bigP.div(100).times(sorted.length - 1);
+        const lowerIndex = Number(rank.round(0, RoundingMode.down).toFixed());
+        const fraction = rank.minus(lowerIndex);
+        const lower = sorted[lowerIndex];
+        let amount = lower;
+        if (!isBigZero(fraction)) {
+            amount = lower.plus(sorted[lowerIndex + 1].minus(lower).times(fraction));
+        }
+        amount = this.roundScale(amount, scale, roundingMode);
+        return this.createFromBig(amount, currency, scale);
     }
 
     /**
-     * @private
+     * Creates money from an amount that is already rounded to the scale.
+     * @protected
+     * @param {Big} amount
+     * @param {string} currency
+     * @param {number} [scale] Defaults to the fraction digits of the currency.
+     * @returns {Money}
      */
-    static parseAmount(amount) {
-        try {
-            return new this.Big(amount);
-        } catch (e) {
-            throw new RangeError(`Invalid amount: ${amount}`);
+    static createFromBig(amount, currency, scale) {
+        currency = normalizeCurrency(currency, this.currencyRegistry);
+        scale = normalizeScale(scale, currency, this.currencyRegistry);
+        const bigAmount = this.parseAmount(amount);
+        if (!bigAmount.eq(bigAmount.round(scale, RoundingMode.down))) {
+            throw new InvalidAmountError(`Amount ${bigAmount.toFixed()} has more fraction digits than ${currency} with scale ${scale} allows.`, { amount });
         }
+        return Object.freeze(initializeMoney(Object.create(this.prototype), bigAmount, currency, scale));
     }
-}
 
-class NumberFormatEntry {
     /**
-     * @param {Intl.NumberFormat} numberFormat
+     * Creates money from an amount that is already rounded to the currency.
+     * @deprecated Use {@link Money.createFromBig}, which this method delegates to.
+     * It validates the amount and currency like createFromBig.
+     * @param {Big} amount
+     * @param {string} currency
+     * @returns {Money}
      */
-    constructor(numberFormat) {
-        this.numberFormat = numberFormat;
-        this.options = numberFormat.resolvedOptions();
+    static createUnchecked(amount, currency) {
+        return this.createFromBig(amount, currency);
     }
 
-    static get(currency) {
-        let entry = currencyNumberFormats.get(currency);
-        if (entry === undefined) {
-            const numberFormat = new Intl.NumberFormat(undefined, {
-                style: 'currency',
-                currency: currency,
-            });
-            entry = new NumberFormatEntry(numberFormat);
-            currencyNumberFormats.set(currency, entry);
+    add(other) {
+        return this.constructor.applyUnitOp('plus', this, other);
+    }
+
+    sub(other) {
+        return this.constructor.applyUnitOp('minus', this, other);
+    }
+
+    mul(n, roundingMode) {
+        return this.constructor.applyScalarOp('times', this, n, roundingMode);
+    }
+
+    div(n, roundingMode) {
+        return this.constructor.applyScalarOp('div', this, n, roundingMode);
+    }
+
+    mod(other) {
+        return this.constructor.applyUnitOp('mod', this, other);
+    }
+
+    eq(other) {
+        return this.currency === other.currency && getAmount(this).eq(getAmount(other));
+    }
+
+    lt(other) {
+        return this.constructor.applyCmpOp('lt', this, other);
+    }
+
+    lte(other) {
+        return this.constructor.applyCmpOp('lte', this, other);
+    }
+
+    gt(other) {
+        return this.constructor.applyCmpOp('gt', this, other);
+    }
+
+    gte(other) {
+        return this.constructor.applyCmpOp('gte', this, other);
+    }
+
+    cmp(other) {
+        return this.constructor.applyCmpOp('cmp', this, other);
+    }
+
+    abs() {
+        return this.constructor.createFromBig(getAmount(this).abs(), this.currency, this.scale);
+    }
+
+    ratioOf(other) {
+        verifyCompatibleCurrency('ratioOf', this.currency, other.currency, [this, other]);
+        verifyNonZeroDivisor('ratioOf', this, getAmount(other), other);
+        return getAmount(this).div(getAmount(other));
+    }
+
+    /**
+     * Returns p percent of the money.
+     * @param {number|string|Big} p
+     * @param {number} [roundingMode]
+     */
+    percent(p, roundingMode) {
+        const factor = this.constructor.parseAmount(p).div(100);
+        return this.constructor.applyScalarOp('times', this, factor, roundingMode);
+    }
+
+    /**
+     * Returns the price after a discount of p percent. The discount is
+     * percent(p) with the same rounding mode, so that the discount and the
+     * discounted price always sum up to the original price.
+     * @param {number|string|Big} p
+     * @param {number} [roundingMode]
+     */
+    discount(p, roundingMode) {
+        return this.sub(this.percent(p, roundingMode));
+    }
+
+    /**
+     * Returns the price after a markup of p percent. The markup is
+     * percent(p) with the same rounding mode.
+     * @param {number|string|Big} p
+     * @param {number} [roundingMode]
+     */
+    markup(p, roundingMode) {
+        return this.add(this.percent(p, roundingMode));
+    }
+
+    /**
+     * Returns the original price before a discount of p percent.
+     * @param {number|string|Big} p Must be less than 100.
+     * @param {number} [roundingMode]
+     */
+    beforeDiscount(p, roundingMode) {
+        const divisor = new this.constructor.Big(1).minus(this.constructor.parseAmount(p).div(100));
+        if (divisor.lte(0)) {
+            throw new InvalidAmountError(`Cannot reverse a discount of ${p} percent.`, { amount: p });
+        }
+        return this.constructor.applyScalarOp('div', this, divisor, roundingMode);
+    }
+
+    /**
+     * Returns the original price before a markup of p percent.
+     * @param {number|string|Big} p Must be greater than -100.
+     * @param {number} [roundingMode]
+     */
+    beforeMarkup(p, roundingMode) {
+        const divisor = new this.constructor.Big(1).plus(this.constructor.parseAmount(p).div(100));
+        if (divisor.lte(0)) {
+            throw new InvalidAmountError(`Cannot reverse a markup of ${p} percent.`, { amount: p });
+        }
+        return this.constructor.applyScalarOp('div', this, divisor, roundingMode);
+    }
+
+    /**
+     * Returns how many percent this money is of the other money. The result is
+     * exact unless the decimal expansion does not terminate, in which case it
+     * is rounded to Big.DP decimal places.
+     * @param {Money} other
+     * @returns {Big}
+     */
+    percentOf(other) {
+        verifyCompatibleCurrency('percentOf', this.currency, other.currency, [this, other]);
+        verifyNonZeroDivisor('percentOf', this, getAmount(other), other);
+        return getAmount(this).times(100).div(getAmount(other));
+    }
+
+    /**
+     * Splits the money into parts proportional to the given ratios. The parts
+     * always sum up to the original amount. Leftover minor units are
+     * distributed one by one according to the allocation mode.
+     * @param {Array<number|string|Big>} ratios
+     * @param {{mode?: string, seed?: number}} [options]
+     * @returns {Money[]}
+     */
+    allocate(ratios, options) {
+        const Big = this.constructor.Big;
+        const { mode = AllocationMode.largestRemainder, seed } = options || {};
+        if (!Object.prototype.hasOwnProperty.call(AllocationMode, mode)) {
+            throw new InvalidOptionError(`Invalid value for option mode: ${mode}`, { option: 'mode', value: mode });
+        }
+        if (!Array.isArray(ratios) || ratios.length === 0) {
+            throw new InvalidAmountError('Cannot allocate money to an empty list of ratios.', { amount: ratios });
+        }
+        const bigRatios = ratios.map(ratio => {
+            const bigRatio = this.constructor.parseAmount(ratio);
+            if (bigRatio.lt(0)) {
+                throw new InvalidAmountError(`Invalid ratio: ${ratio}`, { amount: ratio });
+            }
+            return bigRatio;
+        });
+
+        const minorUnits = getAmount(this).abs().times(new Big(`1e${this.scale}`));
+        const allocated = allocateMinorUnits(minorUnits, bigRatios, mode, seed);
+        return allocated.map(units => {
+            let amount = units.times(new Big(`1e-${this.scale}`));
+            if (this.isNegative()) {
+                amount = amount.times(-1);
+            }
+            return this.constructor.createFromBig(amount, this.currency, this.scale);
+        });
+    }
+
+    /**
+     * Splits the money into n parts that are as equal as possible.
+     * @param {number} n
+     * @param {{mode?: string, seed?: number}} [options]
+     * @returns {Money[]}
+     */
+    split(n, options) {
+        if (!Number.isSafeInteger(n) || n < 1) {
+            throw new InvalidAmountError(`Invalid number of parts: ${n}`, { amount: n });
+        }
+        return this.allocate(new Array(n).fill(1), options);
+    }
+
+    /**
+     * Adds taxes to this net amount.
+     * @param {number|string|Big|TaxRate|Array<number|string|Big|TaxRate>} taxes A rate like 0.19, a tax or a list of taxes.
+     * @param {number} [roundingMode]
+     * @returns {LineTax}
+     */
+    addTax(taxes, roundingMode) {
+        return new TaxCalculator({ roundingMode }).calculate([{ amount: this, taxes }]).lines[0];
+    }
+
+    /**
+     * Extracts taxes from this gross amount.
+     * @param {number|string|Big|TaxRate|Array<number|string|Big|TaxRate>} taxes A rate like 0.19, a tax or a list of taxes.
+     * @param {number} [roundingMode]
+     * @returns {LineTax}
+     */
+    extractTax(taxes, roundingMode) {
+        return new TaxCalculator({ roundingMode, inclusive: true }).calculate([{ amount: this, taxes }]).lines[0];
+    }
+
+    /**
+     * Rounds the amount to a multiple of the increment, e.g. '0.05'.
+     * @param {number|string|Big} increment A multiple of the smallest unit of the scale.
+     * @param {number} [roundingMode]
+     */
+    roundToIncrement(increment, roundingMode) {
+        const bigIncrement = this.constructor.parseAmount(increment);
+        const unit = new this.constructor.Big(`1e-${this.scale}`);
+        if (bigIncrement.lte(0) || !isBigZero(bigIncrement.mod(unit))) {
+            throw new InvalidAmountError(`Invalid increment ${increment} for ${this.currency}.`, { amount: increment });
+        }
+        const amount = this.constructor.roundIncrement(getAmount(this), bigIncrement, roundingMode);
+        return this.constructor.createFromBig(amount, this.currency, this.scale);
+    }
+
+    /**
+     * Rounds the amount to the cash increment of the currency, e.g. 0.05 for CHF.
+     * Currencies without a cash increment are returned unchanged.
+     * @param {number} [roundingMode]
+     */
+    roundToCash(roundingMode) {
+        return this.roundToIncrement(getCashIncrement(this.currency, this.constructor.currencyRegistry), roundingMode);
+    }
+
+    /**
+     * The difference between the cash amount and this amount, e.g. for the rounding line of a receipt.
+     * @param {number} [roundingMode]
+     */
+    cashRounding(roundingMode) {
+        return this.roundToCash(roundingMode).sub(this);
+    }
+
+    toString() {
+        return `${this.currency} ${this.toDecimalString()}`;
+    }
+
+    /**
+     * Called by JSON.stringify. The format is determined by {@link Money.jsonFormat}.
+     */
+    toJSON() {
+        return this.toJSONObject(this.constructor.jsonFormat);
+    }
+
+    /**
+     * The scale is only included if it differs from the fraction digits of the currency.
+     * Minor units are then counted at the scale, e.g. 1005 for EUR 1.005 with scale 3.
+     * @param {string} [format] One of {@link JsonFormat}. Defaults to decimal.
+     * @returns {{amount: string, currency: string, scale?: number}|{minorUnits: number, currency: string, scale?: number}}
+     */
+    toJSONObject(format) {
+        const hasScale = this.scale !== getCurrencyFractionDigits(this.currency, this.constructor.currencyRegistry);
+        let json = null;
+        if (format === undefined || format === JsonFormat.decimal) {
+            json = { amount: this.toDecimalString(), currency: this.currency };
+        } else if (format === JsonFormat.minorUnits) {
+            const minorUnits = hasScale ? Number(getAmount(this).times(new this.constructor.Big(`1e${this.scale}`)).toFixed())
+                : Number(this.toMinorUnits());
+            if (!Number.isSafeInteger(minorUnits)) {
+                throw new UnsafeNumberError(`Cannot serialize the amount ${this.toDecimalString()} ${this.currency} as minor units because it is not a safe integer.`, { money: this });
+            }
+            json = { minorUnits, currency: this.currency };
+        } else {
+            throw new InvalidOptionError(`Invalid value for JSON format: ${format}`, { option: 'format', value: format });
+        }
+        if (hasScale) {
+            json.scale = this.scale;
+        }
+        return json;
+    }
+
+    /**
+     * Gets the amount as an integer number of minor units, e.g. 1999n for USD 19.99.
+     * @param {string|{fractionDigits: Object<string,number>}} [profile] A {@link MinorUnitProfile} or its name. Defaults to ISO 4217.
+     * @returns {bigint}
+     */
+    toMinorUnits(profile) {
+        const fractionDigits = getMinorUnitFractionDigits(this.currency, profile, this.constructor.currencyRegistry);
+        const minorUnits = getAmount(this).times(new this.constructor.Big(`1e${fractionDigits}`));
+        if (!minorUnits.eq(minorUnits.round(0, RoundingMode.down))) {
+            const message = `Cannot represent the amount ${this.toDecimalString()} ${this.currency} in minor units with ${fractionDigits} fraction digits.`;
+            throw new InvalidAmountError(message, { amount: this.amount });
+        }
+        return BigInt(minorUnits.toFixed());
+    }
+
+    /**
+     * Encodes money as an ISO 20022 amount element like <InstdAmt Ccy="EUR">1234.56</InstdAmt>.
+     * @param {string} [element] The element name, by default 'InstdAmt'.
+     * @param {{totalDigits?: number, fractionDigits?: number}} [options] The limits of the amount type,
+     * by default 18 total and 5 fraction digits.
+     * @returns {string}
+     */
+    toIso20022(element = 'InstdAmt', options) {
+        if (typeof element !== 'string' || !/^([A-Za-z_][\w.-]*:)?[A-Za-z_][\w.-]*$/.test(element)) {
+            throw new InvalidOptionError(`Invalid ISO 20022 element name: ${element}`, { option: 'element', value: element });
+        }
+        return `<${element} Ccy="${this.currency}">${this.toIso20022Amount(options)}</${element}>`;
+    }
+
+    /**
+     * Encodes the amount for ISO 20022 messages, e.g. '1234.56', with the fraction digits of the currency.
+     * @param {{totalDigits?: number, fractionDigits?: number}} [options] The limits of the amount type,
+     * by default 18 total and 5 fraction digits.
+     * @returns {string}
+     */
+    toIso20022Amount(options) {
+        const { totalDigits, fractionDigits } = normalizeIso20022Options(options);
+        const { integer, fraction } = getBankingDigits(this, 'ISO 20022');
+        if (!fitsDigits(getAmount(this), totalDigits, fractionDigits)) {
+            throw new InvalidAmountError(`Cannot encode the amount ${this.toDecimalString()} ${this.currency} in ISO 20022 with ${totalDigits} total and ${fractionDigits} fraction digits.`, { amount: this.amount });
+        }
+        // Keep the padding of the currency only as far as the amount type allows.
+        const padded = fraction.slice(0, fractionDigits);
+        return padded !== '' ? `${integer}.${padded}` : integer;
+    }
+
+    /**
+     * Encodes the currency and amount for SWIFT MT fields like 32A and 32B, e.g. 'EUR1234,56'.
+     * @returns {string}
+     */
+    toSwift() {
+        return `${this.currency}${this.toSwiftAmount()}`;
+    }
+
+    /**
+     * Encodes the amount for SWIFT MT fields, e.g. '1234,56'. Amounts have a decimal comma,
+     * no grouping and at most 15 characters.
+     * @returns {string}
+     */
+    toSwiftAmount() {
+        const { integer, fraction } = getBankingDigits(this, 'SWIFT');
+        const amount = `${integer},${fraction}`;
+        if (amount.length > swiftAmountLength) {
+            throw new InvalidAmountError(`Cannot encode the amount ${this.toDecimalString()} ${this.currency} in SWIFT because it exceeds ${swiftAmountLength} characters.`, { amount: this.amount });
+        }
+        return amount;
+    }
+
+    toLocaleString(locale, options) {
+        const { parts, imprecise, formatOptions } = formatMoneyToParts(this, locale, options);
+        const formatted = joinParts(parts);
+        if (imprecise) {
+            return this.formatImprecision(formatted, locale, formatOptions);
+        }
+        return formatted;
+    }
+
+    /**
+     * Formats money to parts like Intl.NumberFormat#formatToParts. Accepts the same
+     * options as {@link Money#toLocaleString}. With 'show_imprecision' precision handling,
+     * imprecise values start with an 'approximatelySign' part.
+     * @param {string|string[]} [locale]
+     * @param {Intl.NumberFormatOptions & {precisionHandling?: string}} [options]
+     * @returns {Intl.NumberFormatPart[]}
+     */
+    formatToParts(locale, options) {
+        const { parts, imprecise } = formatMoneyToParts(this, locale, options);
+        if (imprecise) {
+            return [{ type: 'approximatelySign', value: '~' }, { type: 'literal', value: '\u00A0' }, ...parts];
+        }
+        return parts;
+    }
+
+    /**
+     * Writes money in words like "One thousand two hundred thirty-four euros and fifty-six cents".
+     * The minor units follow the fraction digits of the currency.
+     * @param {string|string[]} [locale] Falls back from e.g. 'en-US' to 'en'.
+     * @param {{style?: string, language?: WordsLanguage}} [options] A {@link WordsStyle} and a
+     * language that overrides the one of the locale.
+     * @returns {string}
+     */
+    toWords(locale, options) {
+        const { style = WordsStyle.words, language } = options || {};
+        if (!Object.prototype.hasOwnProperty.call(WordsStyle, style)) {
+            throw new InvalidOptionError(`Invalid value for option style: ${style}`, { option: 'style', value: style });
+        }
+        return moneyToWords(this, language !== undefined ? normalizeWordsLanguage(language) : getWordsLanguage(locale), locale, style);
+    }
+
+    /**
+     * @protected
+     * @param {*} formatted
+     * @param {*} locale
+     * @param {*} options
+     */
+    formatImprecision(formatted) {
+        return '~\u00A0' + formatted;
+    }
+
+    toDecimalString() {
+        return getAmount(this).toFixed();
+    }
+
+    /**
+     * Rounds money with a larger scale to the fraction digits of the currency.
+     * @param {number} [roundingMode]
+     * @returns {Money}
+     */
+    toCurrencyPrecision(roundingMode) {
+        const amount = this.constructor.roundCurrencyFraction(getAmount(this), this.currency, roundingMode);
+        return this.constructor.createFromBig(amount, this.currency);
+    }
+
+    toSafeNumber() {
+        const number = this.toSafeNumberOrNull();
+        if (number === null) {
+            throw new UnsafeNumberError(`Cannot convert Money to a Number because the amount ${getAmount(this).toFixed()} cannot be accurately represented by an ECMAScript Number.`, { money: this });
+        }
+        return number;
+    }
+
+    toSafeNumberOrNull() {
+        // Round trip from Big to Number to Big and check for equality.
+        // Could probably be implemented more efficiently but this works.
+        const amount = getAmount(this);
+        const fixed = amount.toFixed();
+        const number = Number.parseFloat(fixed);
+        const big = this.constructor.roundCurrencyFraction(new this.constructor.Big(number), this.currency);
+        if (amount.eq(big)) {
+            return number;
+        } else {
+            return null;
+        }
+    }
+
+
+    toNumberUnchecked() {
+        const amount = getAmount(this);
+        const fixed = amount.toFixed();
+        const number = Number.parseFloat(fixed);
+        return number;
+    }
+
+    convertCurrency(currency, ratio) {
+        return new this.constructor(getAmount(this).times(this.constructor.parseAmount(ratio)), currency);
+    }
+
+    /**
+     * Converts the money into another currency using exchange rates.
+     * @param {string} currency
+     * @param {ExchangeRates} rates
+     * @param {{roundingMode?: number, date?: Date|string}} [options]
+     */
+    convert(currency, rates, options) {
+        return this.convertWithRecord(currency, rates, options).money;
+    }
+
+    /**
+     * Like {@link Money#convert} but also returns the rate, the conversion path
+     * and the rounding residual for auditing.
+     * @param {string} currency
+     * @param {ExchangeRates} rates
+     * @param {{roundingMode?: number, date?: Date|string}} [options]
+     * @returns {{money: Money, rate: Big, path: string[], legs: RateLeg[], residual: Big}}
+     */
+    convertWithRecord(currency, rates, options) {
+        const { roundingMode, date } = options || {};
+        const { rate, path, legs } = rates.get(this.currency, currency, date);
+        const exact = getAmount(this).times(rate);
+        const money = new this.constructor(exact, currency, roundingMode);
+        const residual = exact.minus(getAmount(money));
+        return { money, rate, path, legs, residual };
+    }
+
+    isSafeNumber() {
+        return this.toSafeNumberOrNull() !== null;
+    }
+
+    isZero() {
+        return isBigZero(getAmount(this));
+    }
+
+    isNegative() {
+        return this.sign() < 0;
+    }
+
+    isPositive() {
+        return this.sign() > 0;
+    }
+
+    sign() {
+        return isBigZero(getAmount(this)) ? 0 : getAmount(this).s;
+    }
+
+    hasSameCurrency(other) {
+        return this.currency === other.currency;
+    }
+
+    static get defaultRoundingMode() {
+        return this.Big.RM;
+    }
+
+    static get Big() {
+        return Big;
+    }
+
+    /**
+     * Creates an independent Money class with its own Big constructor, default
+     * rounding mode, currencies and cache. Changing the settings of another Big
+     * constructor or registering currencies on another class does not affect it.
+     * @param {{roundingMode?: number, Big?: typeof Big, currencies?: Array<object>, imprecisionFormatter?: function(string, *, *): string, strict?: boolean}} [options]
+     * The Big constructor defaults to a copy of the Big constructor of this class. In strict
+     * mode, only registered currencies and current ISO 4217 currencies are valid and their
+     * fraction digits are taken from the built-in ISO 4217 table on every runtime.
+     * @returns {typeof Money}
+     */
+    static configure(options) {
+        const { roundingMode, Big: BigOption, currencies = [], imprecisionFormatter, strict } = options || {};
+        if (roundingMode !== undefined && !Object.values(RoundingMode).includes(roundingMode)) {
+            throw new InvalidOptionError(`Invalid value for option roundingMode: ${roundingMode}`, { option: 'roundingMode', value: roundingMode });
+        }
+        if (imprecisionFormatter !== undefined && typeof imprecisionFormatter !== 'function') {
+            throw new InvalidOptionError(`Invalid value for option imprecisionFormatter: ${imprecisionFormatter}`, { option: 'imprecisionFormatter', value: imprecisionFormatter });
+        }
+        const ConfiguredBig = BigOption !== undefined ? BigOption : copyBig(this.Big);
+
+        class ConfiguredMoney extends this {
+            static get Big() {
+                return ConfiguredBig;
+            }
+
+            static get defaultRoundingMode() {
+                return roundingMode !== undefined ? roundingMode : ConfiguredBig.RM;
+            }
+
+            formatImprecision(formatted, locale, formatOptions) {
+                if (imprecisionFormatter !== undefined) {
+                    return imprecisionFormatter(formatted, locale, formatOptions);
+                }
+                return super.formatImprecision(formatted, locale, formatOptions);
+            }
+        }
+        const registry = this.currencyRegistry;
+        configuredClasses.add(ConfiguredMoney);
+        currencyRegistries.set(ConfiguredMoney, registry.copy(new Map(), strict !== undefined ? Boolean(strict) : registry.strict));
+        currencies.forEach(definition => ConfiguredMoney.registerCurrency(definition));
+        return ConfiguredMoney;
+    }
+
+    /**
+     * The currencies of the built-in ISO 4217 table sorted by code.
+     * @param {{withdrawn?: boolean}} [options] Set withdrawn to true to include historic currencies.
+     * @returns {CurrencyInfo[]}
+     */
+    static currencies(options) {
+        const { withdrawn = false } = options || {};
+        return Array.from(currencyInfos.values()).filter(info => withdrawn || info.withdrawn === null);
+    }
+
+    /**
+     * @param {string} code
+     * @returns {CurrencyInfo|undefined} The ISO 4217 information about the currency.
+     */
+    static currencyInfo(code) {
+        return typeof code === 'string' ? currencyInfos.get(code.toUpperCase()) : undefined;
+    }
+
+    /**
+     * Registers a currency that is unknown to Intl.NumberFormat, e.g. a crypto
+     * currency or loyalty points, or overrides the minor units of an ISO 4217
+     * currency. Registering on a subclass only affects the subclass.
+     * @param {{code: string, fractionDigits: number, symbol?: string, name?: string}} definition
+     * @returns {typeof Money}
+     */
+    static registerCurrency(definition) {
+        this.currencyRegistry.register(definition);
+        return this;
+    }
+
+    /**
+     * Registers the language that {@link Money#toWords} uses for a locale. Languages
+     * are shared by all classes. English ('en') and German ('de') are built in.
+     * @param {string} locale
+     * @param {WordsLanguage} language
+     * @returns {typeof Money}
+     */
+    static registerWordsLanguage(locale, language) {
+        if (typeof locale !== 'string' || locale === '') {
+            throw new InvalidOptionError(`Invalid locale: ${locale}`, { option: 'locale', value: locale });
+        }
+        wordsLanguages.set(locale.toLowerCase(), normalizeWordsLanguage(language));
+        return this;
+    }
+
+    /**
+     * The registered currencies of this class. Falls back to the registry of the parent class.
+     * @protected
+     * @returns {CurrencyRegistry}
+     */
+    static get currencyRegistry() {
+        let registry = currencyRegistries.get(this);
+        if (registry === undefined) {
+            const parent = this === Money ? null : Object.getPrototypeOf(this).currencyRegistry;
+            registry = new CurrencyRegistry(parent);
+            currencyRegistries.set(this, registry);
+        }
+        return registry;
+    }
+
+    /**
+     * @private
+     */
+    static roundCurrencyFraction(big, currency, roundingMode) {
+        const fractionDigits = getCurrencyFractionDigits(currency, this.currencyRegistry);
+        return this.roundScale(big, fractionDigits, roundingMode);
+    }
+
+    /**
+     * @private
+     */
+    static roundScale(big, scale, roundingMode) {
+        roundingMode = roundingMode !== undefined ? roundingMode : this.defaultRoundingMode;
+        return roundBig(big, scale, roundingMode);
+    }
+
+    /**
+     * @private
+     */
+    static roundIncrement(big, increment, roundingMode) {
+        roundingMode = roundingMode !== undefined ? roundingMode : this.defaultRoundingMode;
+        return roundBigToIncrement(big, new this.Big(increment), roundingMode);
+    }
+
+    /**
+     * @private
+     */
+    static applyUnitOp(op, self, other) {
+        verifyCompatibleCurrency(op, self.currency, other.currency, [self, other]);
+        verifyCompatibleScale(op, self.scale, other.scale, [self, other]);
+        if (op === 'mod') {
+            verifyNonZeroDivisor(op, self, getAmount(other), other);
+        }
+        let amount = getAmount(self)[op](getAmount(other));
+        return this.createFromBig(amount, self.currency, self.scale);
+    }
+
+    /**
+     * @private
+     */
+    static applyScalarOp(op, self, n, roundingMode) {
+        const currency = self.currency;
+        const bigN = this.parseAmount(n);
+        if (op === 'div') {
+            verifyNonZeroDivisor(op, self, bigN, n);
+        }
+        let amount = getAmount(self)[op](bigN);
+        amount = this.roundScale(amount, self.scale, roundingMode);
+        return this.createFromBig(amount, currency, self.scale);
+    }
+
+    /**
+     * @private
+     */
+    static applyCmpOp(op, self, other) {
+        verifyCompatibleCurrency(op, self.currency, other.currency, [self, other]);
+        return getAmount(self)[op](getAmount(other));
+    }
+
+    /**
+     * @private
+     */
+    static parseAmount(amount) {
+        try {
+            return new this.Big(amount);
+        } catch (e) {
+            throw new InvalidAmountError(`Invalid amount: ${amount}`, { amount });
+        }
+    }
+}
+
+class NumberFormatEntry {
+    /**
+     * @param {Intl.NumberFormat} numberFormat
+     */
+    constructor(numberFormat) {
+        this.numberFormat = numberFormat;
+        this.options = numberFormat.resolvedOptions();
+        /**
+         * @type {CurrencyDefinition}
+         */
+        this.definition = Object.freeze({
+            code: this.options.currency,
+            // Node 12 omits the fraction digits of currencies without minor units.
+            fractionDigits: this.options.minimumFractionDigits !== undefined ? this.options.minimumFractionDigits : 0,
+            symbol: undefined,
+            name: undefined,
+            intlCurrency: this.options.currency,
+            cashIncrement: getDefaultCashIncrement(this.options.currency),
+            custom: false,
+            iso: false,
+        });
+    }
+
+    /**
+     * @param {string} currency
+     * @param {Map<string,NumberFormatEntry>} [cache]
+     * @returns {NumberFormatEntry}
+     */
+    static get(currency, cache = currencyNumberFormats) {
+        let entry = cache.get(currency);
+        if (entry === undefined) {
+            let numberFormat = null;
+            try {
+                numberFormat = new Intl.NumberFormat(undefined, {
+                    style: 'currency',
+                    currency: currency,
+                });
+            } catch (e) {
+                throw new InvalidCurrencyError(`Invalid currency code: ${currency}`, { currency });
+            }
+            entry = new NumberFormatEntry(numberFormat);
+            cache.set(currency, entry);
+        }
+        return entry;
+    }
+}
+
+/**
+ * Maps the rounding modes of Intl.NumberFormat to {@link RoundingMode}.
+ */
+const intlRoundingModes = Object.freeze({
+    ceil: RoundingMode.ceiling,
+    floor: RoundingMode.floor,
+    trunc: RoundingMode.down,
+    expand: RoundingMode.up,
+    halfCeil: RoundingMode.halfCeiling,
+    halfFloor: RoundingMode.halfFloor,
+    halfTrunc: RoundingMode.halfDown,
+    halfExpand: RoundingMode.halfUp,
+    halfEven: RoundingMode.halfEven,
+});
+
+/**
+ * Formats money to parts and tells if the formatted value is imprecise.
+ * @param {Money} money
+ * @param {string|string[]} [locale]
+ * @param {Intl.NumberFormatOptions & {precisionHandling?: string}} [options]
+ * @returns {{parts: Intl.NumberFormatPart[], imprecise: boolean, formatOptions: Intl.NumberFormatOptions}}
+ */
+function formatMoneyToParts(money, locale, options) {
+    const formatOptions = Object.assign({
+        style: 'currency',
+        currency: money.currency,
+    }, options);
+
+    // If number is formatted as currency then the currency code cannot be overwritten.
+    if (formatOptions.style === 'currency' && formatOptions.currency !== money.currency) {
+        const message = 'Overriding the currency via the \'currency\' option is not allowed.';
+        throw new InvalidOptionError(message, { option: 'currency', value: formatOptions.currency });
+    }
+
+    let precisionHandling = formatOptions.precisionHandling;
+    if (precisionHandling === undefined) {
+        precisionHandling = PrecisionHandling.safe;
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(PrecisionHandling, precisionHandling)) {
+            throw new InvalidOptionError(`Invalid value for option precisionHandling: ${precisionHandling}`, { option: 'precisionHandling', value: precisionHandling });
+        }
+        // Do not expose custom option.
+        delete formatOptions.precisionHandling;
+    }
+
+    const definition = resolveCurrency(money.currency, money.constructor.currencyRegistry);
+    const intlOptions = toIntlFormatOptions(formatOptions, definition);
+    // Show the extra fraction digits of money with a larger scale.
+    if (money.scale > definition.fractionDigits && isStandardNotation(intlOptions)
+        && intlOptions.maximumFractionDigits === undefined && intlOptions.maximumSignificantDigits === undefined) {
+        intlOptions.maximumFractionDigits = money.scale;
+    }
+
+    // Format the exact decimal digits. Only standard and compact notation can be represented exactly.
+    // Compact notation drops digits by design, which 'show_imprecision' reveals.
+    const isCompact = formatOptions.notation === 'compact';
+    if ((precisionHandling === PrecisionHandling.safe && isStandardNotation(formatOptions))
+        || (precisionHandling !== PrecisionHandling.unchecked && isCompact)) {
+        const { parts, value } = formatBigToParts(getAmount(money), locale, intlOptions);
+        return {
+            parts: replaceCurrencyParts(parts, definition, intlOptions),
+            imprecise: precisionHandling === PrecisionHandling.show_imprecision && !value.eq(getAmount(money)),
+            formatOptions,
+        };
+    }
+
+    let number = null;
+    if (precisionHandling === PrecisionHandling.unchecked || precisionHandling === PrecisionHandling.show_imprecision) {
+        number = money.toNumberUnchecked();
+    } else {
+        number = money.toSafeNumber(); // Might throw
+    }
+
+    const parts = new Intl.NumberFormat(locale, intlOptions).formatToParts(number);
+    return {
+        parts: replaceCurrencyParts(parts, definition, intlOptions),
+        imprecise: precisionHandling === PrecisionHandling.show_imprecision && !money.isSafeNumber(),
+        formatOptions,
+    };
+}
+
+/**
+ * @typedef {object} WordsLanguage
+ * @property {(digits: string) => string} integer Writes a non-negative integer, given as decimal digits,
+ * in words as it precedes a currency unit.
+ * @property {string} minus
+ * @property {string} and
+ * @property {Object<string,{major: string[], minor?: string[]}>} currencies The singular and plural names
+ * of the major and minor units. Other currencies use the names of Intl.NumberFormat and no minor unit.
+ */
+
+/**
+ * Writes money in words.
+ * @param {Money} money
+ * @param {WordsLanguage} language
+ * @param {string|string[]|undefined} locale
+ * @param {string} style A {@link WordsStyle}.
+ * @returns {string}
+ */
+function moneyToWords(money, language, locale, style) {
+    const registry = money.constructor.currencyRegistry;
+    const definition = resolveCurrency(money.currency, registry);
+    const amount = getAmount(money).abs();
+    // Amounts with more fraction digits than the currency, which a larger scale allows, are written as a fraction.
+    const fractionDigits = Math.max(definition.fractionDigits, amount.c.length - amount.e - 1);
+    const [major, minor = ''] = amount.toFixed(fractionDigits).split('.');
+
+    const units = getWordsCurrencyUnits(language, definition, locale);
+    const hasMinor = !/^0*$/.test(minor);
+    const isFraction = fractionDigits > definition.fractionDigits || (hasMinor && units.minor === undefined);
+    const words = [];
+    if (getAmount(money).lt(0)) {
+        words.push(language.minus);
+    }
+    if (style === WordsStyle.cheque || isFraction) {
+        words.push(language.integer(major));
+        if (fractionDigits > 0) {
+            words.push(language.and, `${minor}/1${'0'.repeat(fractionDigits)}`);
+        }
+        words.push(units.major[major === '1' && !hasMinor ? 0 : 1]);
+    } else {
+        const minorCount = minor.replace(/^0+(?=.)/, '');
+        const minorWords = style === WordsStyle.digits ? minorCount : language.integer(minorCount);
+        const minorUnit = units.minor !== undefined ? units.minor[minorCount === '1' ? 0 : 1] : undefined;
+        if (!/^0+$/.test(major) || !hasMinor) {
+            words.push(language.integer(major), units.major[major === '1' ? 0 : 1]);
+            if (hasMinor) {
+                words.push(language.and);
+            }
+        }
+        if (hasMinor) {
+            words.push(minorWords, minorUnit);
+        }
+    }
+    const text = words.join(' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * @param {WordsLanguage} language
+ * @param {CurrencyDefinition} definition
+ * @param {string|string[]|undefined} locale
+ * @returns {{major: string[], minor?: string[]}}
+ */
+function getWordsCurrencyUnits(language, definition, locale) {
+    if (Object.prototype.hasOwnProperty.call(language.currencies, definition.code)) {
+        return language.currencies[definition.code];
+    }
+    if (definition.name !== undefined) {
+        return { major: [definition.name, definition.name] };
+    }
+    if (definition.intlCurrency === null) {
+        return { major: [definition.code, definition.code] };
+    }
+    const numberFormat = new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: definition.intlCurrency,
+        currencyDisplay: 'name',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0,
+    });
+    const name = count => numberFormat.formatToParts(count).filter(part => part.type === 'currency').map(part => part.value).join('');
+    return { major: [name(1), name(2)] };
+}
+
+/**
+ * Fills in the English defaults of a words language.
+ * @param {WordsLanguage} language
+ * @returns {WordsLanguage}
+ */
+function normalizeWordsLanguage(language) {
+    if (language === null || typeof language !== 'object' || typeof language.integer !== 'function') {
+        throw new TypeError(`Invalid words language: ${language}`);
+    }
+    return Object.freeze(Object.assign({ minus: 'minus', and: 'and', currencies: {} }, language));
+}
+
+/**
+ * Finds the words language of a locale, falling back from 'en-US' to 'en'.
+ * @param {string|string[]|undefined} locale
+ * @returns {WordsLanguage}
+ */
+function getWordsLanguage(locale) {
+    const tags = locale === undefined ? [new Intl.NumberFormat().resolvedOptions().locale] : [].concat(locale);
+    for (const tag of tags) {
+        const parts = String(tag).toLowerCase().split('-');
+        while (parts.length > 0) {
+            const language = wordsLanguages.get(parts.join('-'));
+            if (language !== undefined) {
+                return language;
+            }
+            parts.pop();
+        }
+    }
+    throw new InvalidOptionError(`No words language for locale: ${locale}`, { option: 'locale', value: locale });
+}
+
+/**
+ * Splits decimal digits into groups of three digits, the most significant first.
+ * @param {string} digits
+ * @returns {number[]}
+ */
+function splitThousands(digits) {
+    const groups = [];
+    for (let end = digits.length; end > 0; end -= 3) {
+        groups.unshift(Number.parseInt(digits.slice(Math.max(end - 3, 0), end), 10));
+    }
+    return groups;
+}
+
+const englishOnes = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
+];
+const englishTens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+/**
+ * Short scale names of powers of 10^3.
+ */
+const englishScales = [
+    '', 'thousand', 'million', 'billion', 'trillion', 'quadrillion', 'quintillion', 'sextillion', 'septillion',
+    'octillion', 'nonillion', 'decillion', 'undecillion', 'duodecillion', 'tredecillion', 'quattuordecillion',
+    'quindecillion', 'sexdecillion', 'septendecillion', 'octodecillion', 'novemdecillion', 'vigintillion',
+];
+
+/**
+ * @param {number} n An integer between 1 and 999.
+ * @returns {string}
+ */
+function englishHundreds(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(englishOnes[Math.floor(n / 100)], 'hundred');
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(englishTens[Math.floor(n / 10)] + (n % 10 > 0 ? '-' + englishOnes[n % 10] : ''));
+    } else if (n > 0) {
+        words.push(englishOnes[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * @param {string} digits
+ * @returns {string}
+ */
+function englishInteger(digits) {
+    digits = digits.replace(/^0+/, '');
+    if (digits === '') {
+        return englishOnes[0];
+    }
+    // Numbers beyond the largest scale count in multiples of it, e.g. one thousand vigintillion.
+    const largest = 3 * (englishScales.length - 1);
+    if (digits.length > largest + 3) {
+        const words = [englishInteger(digits.slice(0, -largest)), englishScales[englishScales.length - 1]];
+        const rest = digits.slice(-largest);
+        if (!/^0+$/.test(rest)) {
+            words.push(englishInteger(rest));
+        }
+        return words.join(' ');
+    }
+    const groups = splitThousands(digits);
+    const words = [];
+    groups.forEach((group, index) => {
+        const scale = englishScales[groups.length - 1 - index];
+        if (group > 0) {
+            words.push(englishHundreds(group) + (scale !== '' ? ' ' + scale : ''));
+        }
+    });
+    return words.join(' ');
+}
+
+const germanOnes = [
+    'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+    'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn',
+];
+const germanTens = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+/**
+ * Long scale names of powers of 10^6 and the following 10^9, 10^15, ... in singular and plural.
+ */
+const germanScales = ['M', 'B', 'Tr', 'Quadr', 'Quint', 'Sext', 'Sept', 'Okt', 'Non', 'Dez'].reduce((scales, prefix) => {
+    scales.push([`${prefix}illion`, `${prefix}illionen`], [`${prefix}illiarde`, `${prefix}illiarden`]);
+    return scales;
+}, []);
+
+/**
+ * @param {number} n An integer between 1 and 999.
+ * @returns {string} The words with 'ein' in place of a final 'eins'.
+ */
+function germanHundreds(n) {
+    let words = '';
+    if (n >= 100) {
+        words += (Math.floor(n / 100) === 1 ? 'ein' : germanOnes[Math.floor(n / 100)]) + 'hundert';
+        n %= 100;
+    }
+    if (n >= 20) {
+        words += (n % 10 > 0 ? (n % 10 === 1 ? 'ein' : germanOnes[n % 10]) + 'und' : '') + germanTens[Math.floor(n / 10)];
+    } else if (n > 0) {
+        words += n === 1 ? 'ein' : germanOnes[n];
+    }
+    return words;
+}
+
+/**
+ * @param {string} digits
+ * @returns {string}
+ */
+function germanInteger(digits) {
+    digits = digits.replace(/^0+/, '');
+    if (digits === '') {
+        return germanOnes[0];
+    }
+    const n = digits.length <= 6 ? Number.parseInt(digits, 10) : null;
+    // Amounts between 1100 and 1999 are counted in hundreds, e.g. zwölfhundert.
+    if (n !== null && n >= 1100 && n < 2000) {
+        return germanOnes[Math.floor(n / 100)] + 'hundert' + (n % 100 > 0 ? germanHundreds(n % 100) : '');
+    }
+    // Numbers beyond the largest scale count in multiples of it, e.g. tausend Dezilliarden.
+    const largest = 3 * (germanScales.length + 1);
+    if (digits.length > largest + 3) {
+        const high = digits.slice(0, -largest);
+        const rest = digits.slice(-largest);
+        const scale = germanScales[germanScales.length - 1];
+        const words = [high === '1' ? 'eine' : germanInteger(high), scale[high === '1' ? 0 : 1]];
+        if (!/^0+$/.test(rest)) {
+            words.push(germanInteger(rest));
+        }
+        return words.join(' ');
+    }
+    const groups = splitThousands(digits);
+    const words = [];
+    // The groups below one million form a single word.
+    const thousands = groups.length > 1 ? groups[groups.length - 2] : 0;
+    const units = groups[groups.length - 1];
+    const below = (thousands > 0 ? germanHundreds(thousands) + 'tausend' : '') + (units > 0 ? germanHundreds(units) : '');
+    groups.slice(0, -2).forEach((group, index) => {
+        const scale = germanScales[groups.length - 3 - index];
+        if (group > 0) {
+            words.push(group === 1 ? 'eine' : germanHundreds(group), scale[group === 1 ? 0 : 1]);
+        }
+    });
+    if (below !== '') {
+        words.push(below);
+    }
+    return words.join(' ');
+}
+
+/**
+ * @type {Map<string,WordsLanguage>}
+ */
+const wordsLanguages = new Map([
+    ['en', Object.freeze({
+        integer: englishInteger,
+        minus: 'minus',
+        and: 'and',
+        currencies: Object.freeze({
+            CHF: { major: ['franc', 'francs'], minor: ['centime', 'centimes'] },
+            EUR: { major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+            GBP: { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+            JPY: { major: ['yen', 'yen'] },
+            USD: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+        }),
+    })],
+    ['de', Object.freeze({
+        integer: germanInteger,
+        minus: 'minus',
+        and: 'und',
+        currencies: Object.freeze({
+            CHF: { major: ['Franken', 'Franken'], minor: ['Rappen', 'Rappen'] },
+            EUR: { major: ['Euro', 'Euro'], minor: ['Cent', 'Cent'] },
+            GBP: { major: ['Pfund', 'Pfund'], minor: ['Penny', 'Pence'] },
+            JPY: { major: ['Yen', 'Yen'] },
+            USD: { major: ['Dollar', 'Dollar'], minor: ['Cent', 'Cent'] },
+        }),
+    })],
+]);
+
+/**
+ * The part types of Intl.NumberFormat#formatToParts that make up the digits of a number.
+ */
+const numberPartTypes = new Set(['integer', 'group', 'decimal', 'fraction']);
+
+/**
+ * Formats a Big to parts like Intl.NumberFormat#formatToParts but without
+ * converting it to a Number. The digits are taken from the Big. Intl.NumberFormat
+ * is only used for locale data: separators, grouping, digits, currency, sign and
+ * compact suffix. Only standard and compact notation are supported.
+ * @param {Big} big
+ * @param {string|string[]} [locale]
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {{parts: Intl.NumberFormatPart[], value: Big}} The parts and the formatted value.
+ */
+function formatBigToParts(big, locale, options) {
+    const numberFormat = new Intl.NumberFormat(locale, options);
+    const resolved = resolveFormatOptions(numberFormat, options);
+    const percent = resolved.style === 'percent';
+    if (percent) {
+        big = big.times(100);
+    }
+
+    // Compact notation formats the digits of the amount divided by a power of ten.
+    let exponent = 0;
+    let rounded = null;
+    if (resolved.notation === 'compact') {
+        ({ exponent, rounded } = roundBigForCompact(big, resolved));
+    } else {
+        rounded = roundBigForFormat(big, resolved);
+    }
+    const { integer, fraction } = getFormatDigits(rounded, resolved);
+    let value = rounded.times(`1e${exponent}`);
+    if (percent) {
+        value = value.div(100);
+    }
+
+    // Intl.NumberFormat formats an approximation of the amount which has the same sign,
+    // plural category and compact suffix. Its digits are then replaced by the exact digits.
+    let template = Number.parseFloat(value.toFixed());
+    if (!Number.isFinite(template)) {
+        template = template < 0 ? -Number.MAX_VALUE : Number.MAX_VALUE;
+    } else if (template === 0 && big.s < 0 && !isBigZero(big)) {
+        // Like Intl.NumberFormat, keep the sign of negative amounts which round to zero.
+        template = -0;
+    }
+    const templateParts = numberFormat.formatToParts(template);
+    const symbols = getNumberSymbols(numberFormat, resolved);
+
+    const digitParts = [];
+    const integerGroups = groupIntegerDigits(integer, symbols);
+    integerGroups.forEach((group, index) => {
+        if (index > 0) {
+            digitParts.push({ type: 'group', value: symbols.group });
+        }
+        digitParts.push({ type: 'integer', value: transliterateDigits(group, symbols.digits) });
+    });
+    if (fraction !== '') {
+        digitParts.push({ type: 'decimal', value: symbols.decimal });
+        digitParts.push({ type: 'fraction', value: transliterateDigits(fraction, symbols.digits) });
+    }
+
+    const parts = [];
+    let replaced = false;
+    for (const part of templateParts) {
+        if (numberPartTypes.has(part.type)) {
+            if (!replaced) {
+                parts.push(...digitParts);
+                replaced = true;
+            }
+        } else {
+            parts.push(part);
+        }
+    }
+    return { parts, value };
+}
+
+/**
+ * Resolves the options of a number format. Runtimes before ES2023 ignore the option
+ * roundingMode, which is applied to the exact digits anyway. They also do not report
+ * that compact notation rounds to two significant digits unless there are more
+ * integer digits.
+ * @param {Intl.NumberFormat} numberFormat
+ * @param {Intl.NumberFormatOptions} [options]
+ * @returns {Intl.ResolvedNumberFormatOptions}
+ */
+function resolveFormatOptions(numberFormat, options) {
+    options = options || {};
+    const resolved = numberFormat.resolvedOptions();
+    // Node 12 omits fraction digits that are zero.
+    for (const option of ['minimumFractionDigits', 'maximumFractionDigits']) {
+        if (resolved[option] === undefined) {
+            resolved[option] = 0;
+        }
+    }
+    if (resolved.roundingMode === undefined && options.roundingMode !== undefined) {
+        resolved.roundingMode = String(options.roundingMode);
+    }
+    const hasDigitOptions = ['minimumFractionDigits', 'maximumFractionDigits', 'minimumSignificantDigits', 'maximumSignificantDigits']
+        .some(option => options[option] !== undefined);
+    if (resolved.notation === 'compact' && resolved.roundingPriority === undefined && !hasDigitOptions) {
+        resolved.minimumSignificantDigits = 1;
+        resolved.maximumSignificantDigits = 2;
+        resolved.roundingPriority = 'morePrecision';
+    }
+    return resolved;
+}
+
+/**
+ * Rounds a Big for compact notation.
+ * @param {Big} big
+ * @param {Intl.ResolvedNumberFormatOptions} resolved
+ * @returns {{exponent: number, rounded: Big}} The power of ten of the compact suffix and the rounded digits.
+ */
+function roundBigForCompact(big, resolved) {
+    if (isBigZero(big)) {
+        return { exponent: 0, rounded: roundBigForFormat(big, resolved) };
+    }
+    let magnitude = big.e;
+    let exponent = getCompactExponent(resolved, magnitude);
+    let rounded = roundBigForFormat(big.times(`1e${-exponent}`), resolved);
+    // Rounding may carry into the next power of ten, e.g. 999,999 to 1M.
+    if (!isBigZero(rounded) && rounded.e + exponent > magnitude) {
+        magnitude = rounded.e + exponent;
+        exponent = getCompactExponent(resolved, magnitude);
+        rounded = roundBigForFormat(big.times(`1e${-exponent}`), resolved);
+    }
+    return { exponent, rounded };
+}
+
+/**
+ * @type {Map<string,number>}
+ */
+const compactExponents = new Map();
+
+/**
+ * Gets the power of ten by which compact notation divides numbers of a magnitude.
+ * @param {Intl.ResolvedNumberFormatOptions} resolved
+ * @param {number} magnitude The exponent of the number in scientific notation.
+ * @returns {number}
+ */
+function getCompactExponent(resolved, magnitude) {
+    // Locales have compact patterns up to 10^15 at most, so larger numbers use the same one.
+    magnitude = Math.min(Math.max(magnitude, 0), 30);
+    const key = [resolved.locale, resolved.style, resolved.currency, resolved.unit, resolved.unitDisplay, resolved.compactDisplay, magnitude].join('|');
+    let exponent = compactExponents.get(key);
+    if (exponent === undefined) {
+        const parts = new Intl.NumberFormat(resolved.locale, {
+            style: resolved.style,
+            currency: resolved.currency,
+            unit: resolved.unit,
+            unitDisplay: resolved.unitDisplay,
+            notation: 'compact',
+            compactDisplay: resolved.compactDisplay,
+            numberingSystem: 'latn',
+            useGrouping: false,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0,
+        }).formatToParts(Math.pow(10, resolved.style === 'percent' ? magnitude - 2 : magnitude));
+        const integerDigits = parts.filter(part => part.type === 'integer').map(part => part.value).join('').length;
+        exponent = magnitude - integerDigits + 1;
+        compactExponents.set(key, exponent);
+    }
+    return exponent;
+}
+
+/**
+ * @param {Big} big
+ * @param {Intl.ResolvedNumberFormatOptions} resolved
+ * @returns {Big}
+ */
+function roundBigForFormat(big, resolved) {
+    const intlRoundingMode = resolved.roundingMode !== undefined ? resolved.roundingMode : 'halfExpand';
+    if (!Object.prototype.hasOwnProperty.call(intlRoundingModes, intlRoundingMode)) {
+        throw new InvalidOptionError(`Unsupported value for option roundingMode: ${intlRoundingMode}`, { option: 'roundingMode', value: intlRoundingMode });
+    }
+    const roundingMode = intlRoundingModes[intlRoundingMode];
+    if (resolved.maximumSignificantDigits !== undefined) {
+        if (isBigZero(big)) {
+            return big;
+        }
+        let decimalPlaces = resolved.maximumSignificantDigits - 1 - big.e;
+        // Both significant and fraction digits apply, e.g. in compact notation.
+        if (resolved.roundingPriority === 'morePrecision') {
+            decimalPlaces = Math.max(decimalPlaces, resolved.maximumFractionDigits);
+        } else if (resolved.roundingPriority === 'lessPrecision') {
+            decimalPlaces = Math.min(decimalPlaces, resolved.maximumFractionDigits);
+        }
+        return roundBig(big, decimalPlaces, roundingMode);
+    }
+    return roundBig(big, resolved.maximumFractionDigits, roundingMode);
+}
+
+/**
+ * Gets the integer and fraction digits of a rounded Big padded according to the format options.
+ * @param {Big} rounded
+ * @param {Intl.ResolvedNumberFormatOptions} resolved
+ * @returns {{integer: string, fraction: string}}
+ */
+function getFormatDigits(rounded, resolved) {
+    let [integer, fraction = ''] = rounded.abs().toFixed().split('.');
+    if (resolved.minimumSignificantDigits !== undefined) {
+        let significantDigits = 0;
+        if (isBigZero(rounded)) {
+            significantDigits = 1;
+        } else if (integer === '0') {
+            significantDigits = fraction.replace(/^0+/, '').length;
+        } else {
+            significantDigits = integer.length + fraction.length;
+        }
+        const missing = resolved.minimumSignificantDigits - significantDigits;
+        if (missing > 0) {
+            fraction += '0'.repeat(missing);
+        }
+    } else {
+        fraction = fraction.padEnd(resolved.minimumFractionDigits, '0');
+    }
+    if (resolved.trailingZeroDisplay === 'stripIfInteger' && /^0*$/.test(fraction)) {
+        fraction = '';
+    }
+    integer = integer.padStart(resolved.minimumIntegerDigits, '0');
+    return { integer, fraction };
+}
+
+/**
+ * Reads the separators, grouping sizes and digits of a number format.
+ * @param {Intl.NumberFormat} numberFormat
+ * @param {Intl.ResolvedNumberFormatOptions} resolved
+ */
+function getNumberSymbols(numberFormat, resolved) {
+    const symbols = {
+        group: null,
+        decimal: '.',
+        primaryGroupSize: 0,
+        secondaryGroupSize: 0,
+        minimumGroupingDigits: 1,
+        digits: null,
+    };
+
+    // The probe has enough digits to reveal primary and secondary grouping
+    // and a fraction to reveal the decimal separator.
+    const probeFormat = new Intl.NumberFormat(resolved.locale, Object.assign({}, resolved, {
+        notation: 'standard',
+        compactDisplay: undefined,
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1,
+        minimumSignificantDigits: undefined,
+        maximumSignificantDigits: undefined,
+        roundingPriority: undefined,
+        roundingIncrement: undefined,
+        trailingZeroDisplay: undefined,
+    }));
+    const probeParts = probeFormat.formatToParts(1234567890123.5);
+    const integerSizes = [];
+    for (const part of probeParts) {
+        if (part.type === 'integer') {
+            integerSizes.push(part.value.length);
+        } else if (part.type === 'group') {
+            symbols.group = part.value;
+        } else if (part.type === 'decimal') {
+            symbols.decimal = part.value;
+        }
+    }
+
+    if (symbols.group !== null) {
+        symbols.primaryGroupSize = integerSizes[integerSizes.length - 1];
+        symbols.secondaryGroupSize = integerSizes.length > 2 ? integerSizes[integerSizes.length - 2] : symbols.primaryGroupSize;
+        // Some locales do not group numbers with few digits, e.g. 1234 in 'es'.
+        const smallest = Math.pow(10, symbols.primaryGroupSize);
+        const isSmallestGrouped = probeFormat.formatToParts(smallest).some(part => part.type === 'group');
+        if (!isSmallestGrouped) {
+            symbols.minimumGroupingDigits = 2;
+        }
+    }
+
+    if (resolved.numberingSystem !== 'latn') {
+        const digitFormat = new Intl.NumberFormat(resolved.locale, {
+            numberingSystem: resolved.numberingSystem,
+            useGrouping: false,
+        });
+        symbols.digits = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].map(digit => digitFormat.format(digit));
+    }
+
+    return symbols;
+}
+
+/**
+ * @param {string} integer
+ * @param {ReturnType<getNumberSymbols>} symbols
+ * @returns {string[]}
+ */
+function groupIntegerDigits(integer, symbols) {
+    if (symbols.group === null || integer.length < symbols.primaryGroupSize + symbols.minimumGroupingDigits) {
+        return [integer];
+    }
+    const groups = [integer.slice(-symbols.primaryGroupSize)];
+    let rest = integer.slice(0, -symbols.primaryGroupSize);
+    while (rest.length > symbols.secondaryGroupSize) {
+        groups.unshift(rest.slice(-symbols.secondaryGroupSize));
+        rest = rest.slice(0, -symbols.secondaryGroupSize);
+    }
+    groups.unshift(rest);
+    return groups;
+}
+
+/**
+ * @param {string} latinDigits
+ * @param {string[]|null} digits
+ * @returns {string}
+ */
+function transliterateDigits(latinDigits, digits) {
+    if (digits === null) {
+        return latinDigits;
+    }
+    return latinDigits.replace(/[0-9]/g, digit => digits[digit]);
+}
+
+/**
+ * Parses a formatted money string into a decimal amount string and a currency code.
+ * @param {string} string
+ * @param {string|string[]} [locale]
+ * @param {string} [currency]
+ * @param {CurrencyRegistry} registry
+ * @returns {{amount: string, currency: string}}
+ */
+function parseLocaleAmount(string, locale, currency, registry) {
+    const message = reason => `Cannot parse money ${JSON.stringify(string)}: ${reason}.`;
+    const fail = reason => new InvalidAmountError(message(reason), { amount: string });
+    if (typeof string !== 'string') {
+        throw new InvalidAmountError(`Invalid amount: ${string}`, { amount: string });
+    }
+
+    // Bidi marks are dropped and all kinds of spaces are treated alike.
+    let text = string
+        .replace(/[\u061C\u200E\u200F]/g, '')
+        .replace(/[\s\u00A0\u2007\u202F]+/g, ' ')
+        .trim();
+    const localDigits = getNumberSymbols(...createNumberFormat(locale, {})).digits;
+    text = untransliterateDigits(text, localDigits);
+
+    let negative = false;
+    if (text.startsWith('(') && text.endsWith(')')) {
+        negative = true;
+        text = text.slice(1, -1).trim();
+    }
+
+    const firstDigit = text.search(/[.,\u066B]?[0-9]/);
+    if (firstDigit < 0) {
+        throw fail('no digits found');
+    }
+    const lastDigit = text.search(/[0-9][^0-9]*$/);
+    const trailingSeparator = text.slice(lastDigit + 1).match(/^[.,\u066B\u066C\u2019']/);
+    if (trailingSeparator !== null) {
+        throw fail(`trailing separator '${trailingSeparator[0]}'`);
+    }
+    const core = text.slice(firstDigit, lastDigit + 1);
+    const affixes = [text.slice(0, firstDigit), text.slice(lastDigit + 1)];
+
+    // Affixes contain the sign and the currency.
+    const currencyAffixes = [];
+    for (let affix of affixes) {
+        affix = affix.trim();
+        let sign = null;
+        while ((sign = affix.match(/^[-\u2212+]|[-\u2212+]$/)) !== null) {
+            if (sign[0] !== '+') {
+                if (negative) {
+                    throw fail('multiple negative signs');
+                }
+                negative = true;
+            }
+            affix = (affix.slice(0, sign.index) + affix.slice(sign.index + 1)).trim();
+        }
+        if (affix !== '') {
+            currencyAffixes.push(affix);
+        }
+    }
+    if (currencyAffixes.length > 1) {
+        const reason = `ambiguous currency ${currencyAffixes.map(affix => `'${affix}'`).join(' and ')}`;
+        throw new InvalidCurrencyError(message(reason), { currency: currencyAffixes });
+    }
+    const currencyText = currencyAffixes.length === 1 ? currencyAffixes[0] : null;
+    const definition = resolveParsedCurrency(currencyText, locale, currency, registry, message);
+    const intlCurrency = getIntlCurrency(definition, 'code');
+
+    // Parse the number with the separators of the currency format.
+    const [numberFormat, resolved] = createNumberFormat(locale, { style: 'currency', currency: intlCurrency });
+    const symbols = getNumberSymbols(numberFormat, resolved);
+    const groups = getGroupSeparatorVariants(symbols.group);
+    let integer = '';
+    let fraction = null;
+    const integerGroups = [''];
+    for (const char of core) {
+        if (/[0-9]/.test(char)) {
+            if (fraction !== null) {
+                fraction += char;
+            } else {
+                integer += char;
+                integerGroups[integerGroups.length - 1] += char;
+            }
+        } else if (char === symbols.decimal) {
+            if (fraction !== null) {
+                throw fail(`multiple decimal separators '${char}'`);
+            }
+            fraction = '';
+        } else if (groups.includes(char)) {
+            if (fraction !== null) {
+                throw fail(`group separator '${char}' after the decimal separator '${symbols.decimal}'`);
+            }
+            integerGroups.push('');
+        } else {
+            throw fail(`unexpected character '${char}'`);
+        }
+    }
+
+    if (integerGroups.length > 1 && !isValidGrouping(integerGroups, symbols)) {
+        // Some locales group accounting formats differently, e.g. 'en-IN'.
+        const accountingSymbols = getAccountingNumberSymbols(locale, intlCurrency);
+        if (accountingSymbols === null || !isValidGrouping(integerGroups, accountingSymbols)) {
+            throw fail(`invalid digit grouping '${integerGroups.join(symbols.group)}'`);
+        }
+    }
+    fraction = fraction === null ? '' : fraction;
+    const fractionDigits = definition.fractionDigits;
+    if (fraction.replace(/0+$/, '').length > fractionDigits) {
+        throw fail(`${fraction.length} fraction digits exceed the ${fractionDigits} fraction digits of ${definition.code}`);
+    }
+
+    let amount = integer === '' ? '0' : integer;
+    if (fraction !== '') {
+        amount += '.' + fraction;
+    }
+    if (negative) {
+        amount = '-' + amount;
+    }
+    return { amount, currency: definition.code };
+}
+
+/**
+ * Determines the currency of a parsed money string from its currency symbol or code.
+ * @param {string|null} currencyText
+ * @param {string|string[]} locale
+ * @param {string|undefined} currency
+ * @param {CurrencyRegistry} registry
+ * @param {(reason: string) => string} message
+ * @returns {CurrencyDefinition}
+ */
+function resolveParsedCurrency(currencyText, locale, currency, registry, message) {
+    const fail = reason => new InvalidCurrencyError(message(reason), { currency: currencyText });
+    let textDefinition = null;
+    if (currencyText !== null && (/^[A-Za-z]{3}$/.test(currencyText) || registry.find(currencyText) !== undefined)) {
+        textDefinition = resolveCurrency(currencyText, registry);
+    } else if (currencyText !== null && currency === undefined) {
+        const code = findCurrencyBySymbol(currencyText, locale, registry);
+        if (code === null) {
+            throw fail(`ambiguous currency symbol '${currencyText}', pass the currency option`);
+        }
+        if (code !== undefined) {
+            textDefinition = resolveCurrency(code, registry);
+        }
+    }
+    if (currency === undefined && textDefinition === null) {
+        throw fail(currencyText === null ? 'missing currency code, pass the currency option'
+            : `unknown currency symbol '${currencyText}', pass the currency option`);
+    }
+    const definition = currency !== undefined ? resolveCurrency(currency, registry) : textDefinition;
+    if (currencyText === null || getCurrencySymbols(locale, definition).includes(currencyText)) {
+        return definition;
+    }
+    if (textDefinition !== null) {
+        if (textDefinition.code !== definition.code) {
+            throw fail(`currency ${textDefinition.code} does not match ${definition.code}`);
+        }
+        return definition;
+    }
+    throw fail(`unknown currency symbol '${currencyText}' for ${definition.code}`);
+}
+
+/**
+ * @param {string|string[]} locale
+ * @param {string} currency
+ * @returns {ReturnType<getNumberSymbols>|null} Null if the runtime does not support accounting formats.
+ */
+function getAccountingNumberSymbols(locale, currency) {
+    let numberFormat = null;
+    try {
+        numberFormat = createNumberFormat(locale, { style: 'currency', currency, currencySign: 'accounting' });
+    } catch (e) {
+        return null;
+    }
+    return getNumberSymbols(...numberFormat);
+}
+
+/**
+ * Gets the symbols and names that represent a currency in a locale.
+ * @param {string|string[]} locale
+ * @param {CurrencyDefinition} definition
+ * @returns {string[]}
+ */
+function getCurrencySymbols(locale, definition) {
+    const symbols = [definition.symbol, definition.name].filter(symbol => symbol !== undefined);
+    if (definition.intlCurrency === null) {
+        return symbols;
+    }
+    symbols.push(...getCurrencyNames(locale, definition.intlCurrency));
+    symbols.push(...getCurrencyDisplaySymbols(locale, definition.intlCurrency, 'symbol'));
+    symbols.push(...getCurrencyDisplaySymbols(locale, definition.intlCurrency, 'narrowSymbol'));
+    return symbols;
+}
+
+/**
+ * @param {string|string[]} locale
+ * @param {string} intlCurrency
+ * @param {string} currencyDisplay
+ * @returns {string[]}
+ */
+function getCurrencyDisplaySymbols(locale, intlCurrency, currencyDisplay) {
+    let parts = null;
+    try {
+        parts = new Intl.NumberFormat(locale, { style: 'currency', currency: intlCurrency, currencyDisplay }).formatToParts(1);
+    } catch (e) {
+        return []; // Option not supported by the runtime.
+    }
+    return parts.filter(part => part.type === 'currency').map(part => part.value.replace(/[\u00A0\u202F]/g, ' ').trim());
+}
+
+/**
+ * Numbers with different plural categories in the locales of CLDR, e.g. 'few' and 'many' in 'ru'.
+ */
+const pluralSamples = [0, 1, 2, 3, 5, 11, 21, 22, 100, 101, 1000000, 0.5, 1.5];
+
+/**
+ * Gets the plural forms of the name of a currency in a locale, e.g. 'US dollar' and 'US dollars'.
+ * Both formats with and without fraction digits are sampled because some locales
+ * choose the plural form by the visible fraction digits.
+ * @param {string|string[]} locale
+ * @param {string} intlCurrency
+ * @returns {string[]}
+ */
+function getCurrencyNames(locale, intlCurrency) {
+    const names = new Set();
+    for (const minimumFractionDigits of [undefined, 0]) {
+        let numberFormat = null;
+        try {
+            const options = { style: 'currency', currency: intlCurrency, currencyDisplay: 'name', minimumFractionDigits };
+            numberFormat = new Intl.NumberFormat(locale, options);
+        } catch (e) {
+            return []; // Option not supported by the runtime.
+        }
+        for (const sample of pluralSamples) {
+            for (const part of numberFormat.formatToParts(sample)) {
+                if (part.type === 'currency') {
+                    names.add(part.value.replace(/[\u00A0\u202F]/g, ' ').trim());
+                }
+            }
+        }
+    }
+    return Array.from(names);
+}
+
+/**
+ * Caches the current ISO 4217 currencies by their symbols and names for each locale.
+ * The first map holds symbols and names, the second one narrow symbols.
+ * @type {Map<string,Array<Map<string,string|null>>>}
+ */
+const currencySymbolCodes = new Map();
+
+/**
+ * Finds the currency with a symbol or name in a locale, e.g. EUR for '€' or USD for 'US dollars' in 'en'.
+ * Registered currencies are searched as well. Narrow symbols are only searched if no symbol or name
+ * matches, so that '$' is USD in 'en' although it is also the narrow symbol of AUD.
+ * @param {string} symbol
+ * @param {string|string[]|undefined} locale
+ * @param {CurrencyRegistry} registry
+ * @returns {string|null|undefined} The currency code, null if the symbol is ambiguous or undefined if it is unknown.
+ */
+function findCurrencyBySymbol(symbol, locale, registry) {
+    const key = JSON.stringify(locale !== undefined ? locale : null);
+    let isoCodes = currencySymbolCodes.get(key);
+    if (isoCodes === undefined) {
+        isoCodes = [new Map(), new Map()];
+        for (const info of currencyInfos.values()) {
+            if (info.withdrawn !== null) {
+                continue;
+            }
+            const symbols = [...getCurrencyNames(locale, info.code), ...getCurrencyDisplaySymbols(locale, info.code, 'symbol')];
+            addCurrencySymbolCodes(isoCodes[0], symbols, info.code);
+            addCurrencySymbolCodes(isoCodes[1], getCurrencyDisplaySymbols(locale, info.code, 'narrowSymbol'), info.code);
+        }
+        currencySymbolCodes.set(key, isoCodes);
+    }
+    const registeredCodes = new Map();
+    const registered = new Set();
+    for (let current = registry; current !== null; current = current.parent) {
+        for (const [code, definition] of current.definitions) {
+            if (!registered.has(code)) {
+                registered.add(code);
+                addCurrencySymbolCodes(registeredCodes, getCurrencySymbols(locale, definition), code);
+            }
+        }
+    }
+    const codes = new Set();
+    for (const symbolCodes of [registeredCodes, isoCodes[0]]) {
+        if (symbolCodes.has(symbol)) {
+            codes.add(symbolCodes.get(symbol));
+        }
+    }
+    if (codes.size === 0 && isoCodes[1].has(symbol)) {
+        codes.add(isoCodes[1].get(symbol));
+    }
+    if (codes.size === 0) {
+        return undefined;
+    }
+    return codes.size === 1 ? codes.values().next().value : null;
+}
+
+/**
+ * @param {Map<string,string|null>} symbolCodes Maps ambiguous symbols to null.
+ * @param {string[]} symbols
+ * @param {string} code
+ */
+function addCurrencySymbolCodes(symbolCodes, symbols, code) {
+    for (const symbol of symbols) {
+        symbolCodes.set(symbol, symbolCodes.has(symbol) && symbolCodes.get(symbol) !== code ? null : code);
+    }
+}
+
+/**
+ * People type a plain space or apostrophe instead of the typographic variant.
+ * @param {string|null} group
+ * @returns {string[]}
+ */
+function getGroupSeparatorVariants(group) {
+    if (group === null) {
+        return [];
+    }
+    if (/[\s\u00A0\u2007\u202F]/.test(group)) {
+        return [' '];
+    }
+    if (group === '\u2019' || group === '\'') {
+        return ['\u2019', '\''];
+    }
+    return [group];
+}
+
+/**
+ * @param {string[]} integerGroups
+ * @param {ReturnType<getNumberSymbols>} symbols
+ * @returns {boolean}
+ */
+function isValidGrouping(integerGroups, symbols) {
+    const last = integerGroups.length - 1;
+    return integerGroups.every((group, index) => {
+        if (index === last) {
+            return group.length === symbols.primaryGroupSize;
+        }
+        if (index === 0) {
+            return group.length > 0 && group.length <= symbols.secondaryGroupSize;
+        }
+        return group.length === symbols.secondaryGroupSize;
+    });
+}
+
+/**
+ * @param {string|string[]} locale
+ * @param {Intl.NumberFormatOptions} options
+ * @returns {[Intl.NumberFormat, Intl.ResolvedNumberFormatOptions]}
+ */
+function createNumberFormat(locale, options) {
+    const numberFormat = new Intl.NumberFormat(locale, options);
+    return [numberFormat, numberFormat.resolvedOptions()];
+}
+
+/**
+ * @param {string} text
+ * @param {string[]|null} digits
+ * @returns {string}
+ */
+function untransliterateDigits(text, digits) {
+    if (digits === null) {
+        return text;
+    }
+    return [...text].map(char => {
+        const digit = digits.indexOf(char);
+        return digit >= 0 ? String(digit) : char;
+    }).join('');
+}
+
+/**
+ * @param {Intl.NumberFormatPart[]} parts
+ * @returns {string}
+ */
+function joinParts(parts) {
+    return parts.map(part => part.value).join('');
+}
+
+/**
+ * @param {Intl.NumberFormatOptions} options
+ * @returns {boolean}
+ */
+function isStandardNotation(options) {
+    return options.notation === undefined || options.notation === 'standard';
+}
+
+/**
+ * @typedef {object} RateLeg
+ * @property {string} from
+ * @property {string} to
+ * @property {Big} rate
+ * @property {string|null} date The as-of date of the stored rate.
+ * @property {boolean} inverse True if the rate was derived from the stored rate of the opposite direction.
+ */
+
+/**
+ * Stores directed exchange rates, optionally with an as-of date. Missing rates
+ * are derived from the inverse rate or triangulated through the base currency.
+ */
+class ExchangeRates {
+    /**
+     * @param {{base?: string, Money?: typeof Money}} [options] The Money class determines the known currencies.
+     */
+    constructor(options) {
+        const { base, Money: MoneyClass = Money } = options || {};
+        /**
+         * @type {CurrencyRegistry}
+         */
+        this.currencyRegistry = MoneyClass.currencyRegistry;
+        /**
+         * The Big class of the Money class, which parses rates and derives inverse rates.
+         * @type {typeof Big}
+         */
+        this.Big = MoneyClass.Big;
+        this.base = base !== undefined ? normalizeCurrency(base, this.currencyRegistry) : null;
+        /**
+         * Entries sorted by date for each currency pair. Undated entries have the date null.
+         * @type {Map<string,Array<{date: string|null, rate: Big}>>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Sets the rate for converting one unit of the currency 'from' into the currency 'to'.
+     * @param {string} from
+     * @param {string} to
+     * @param {number|string|Big} rate
+     * @param {Date|string} [date] The as-of date, e.g. '2020-12-31'.
+     * @returns {this}
+     */
+    set(from, to, rate, date) {
+        from = normalizeCurrency(from, this.currencyRegistry);
+        to = normalizeCurrency(to, this.currencyRegistry);
+        if (from === to) {
+            throw new InvalidCurrencyError(`Cannot set an exchange rate from ${from} to itself.`, { currency: to });
+        }
+        let bigRate = null;
+        try {
+            bigRate = new this.Big(rate);
+        } catch (e) {
+            throw new InvalidAmountError(`Invalid exchange rate: ${rate}`, { amount: rate });
+        }
+        if (bigRate.lte(0)) {
+            throw new InvalidAmountError(`Invalid exchange rate: ${rate}`, { amount: rate });
+        }
+        const normalizedDate = date !== undefined ? normalizeRateDate(date) : null;
+
+        const key = `${from}/${to}`;
+        const entries = this.entries.get(key) || [];
+        const index = entries.findIndex(entry => entry.date === normalizedDate);
+        if (index >= 0) {
+            entries[index].rate = bigRate;
+        } else {
+            entries.push({ date: normalizedDate, rate: bigRate });
+            entries.sort((a, b) => compareRateDates(a.date, b.date));
+        }
+        this.entries.set(key, entries);
+        return this;
+    }
+
+    /**
+     * Finds the rate for converting from one currency into another. The rate is
+     * looked up directly, then inverted, then triangulated through the base currency.
+     * @param {string} from
+     * @param {string} to
+     * @param {Date|string} [date] Use the latest rate as of this date. Defaults to the latest rate.
+     * @returns {{rate: Big, path: string[], legs: RateLeg[]}|null}
+     */
+    find(from, to, date) {
+        from = normalizeCurrency(from, this.currencyRegistry);
+        to = normalizeCurrency(to, this.currencyRegistry);
+        const normalizedDate = date !== undefined ? normalizeRateDate(date) : null;
+        if (from === to) {
+            return { rate: new this.Big(1), path: [from], legs: [] };
+        }
+        const leg = this.findLeg(from, to, normalizedDate);
+        if (leg !== null) {
+            return { rate: leg.rate, path: [from, to], legs: [leg] };
+        }
+        const base = this.base;
+        if (base === null || from === base || to === base) {
+            return null;
+        }
+        const first = this.findLeg(from, base, normalizedDate);
+        const second = this.findLeg(base, to, normalizedDate);
+        if (first === null || second === null) {
+            return null;
+        }
+        return {
+            rate: first.rate.times(second.rate),
+            path: [from, base, to],
+            legs: [first, second],
+        };
+    }
+
+    /**
+     * Like {@link ExchangeRates#find} but throws if no rate is available.
+     * @param {string} from
+     * @param {string} to
+     * @param {Date|string} [date]
+     * @returns {{rate: Big, path: string[], legs: RateLeg[]}}
+     */
+    get(from, to, date) {
+        const found = this.find(from, to, date);
+        if (found === null) {
+            const asOf = date !== undefined ? ` as of ${normalizeRateDate(date)}` : '';
+            const currencies = [normalizeCurrency(from, this.currencyRegistry), normalizeCurrency(to, this.currencyRegistry)];
+            throw new InvalidCurrencyError(`No exchange rate from ${currencies[0]} to ${currencies[1]}${asOf}.`, { currency: currencies });
+        }
+        return found;
+    }
+
+    /**
+     * @private
+     * @param {string} from
+     * @param {string} to
+     * @param {string|null} date
+     * @returns {RateLeg|null}
+     */
+    findLeg(from, to, date) {
+        const direct = this.findEntry(`${from}/${to}`, date);
+        if (direct !== null) {
+            return { from, to, rate: direct.rate, date: direct.date, inverse: false };
+        }
+        const inverse = this.findEntry(`${to}/${from}`, date);
+        if (inverse !== null) {
+            return { from, to, rate: new this.Big(1).div(inverse.rate), date: inverse.date, inverse: true };
+        }
+        return null;
+    }
+
+    /**
+     * Finds the latest dated entry as of the date, falling back to the undated entry.
+     * @private
+     * @param {string} key
+     * @param {string|null} date
+     */
+    findEntry(key, date) {
+        const entries = this.entries.get(key);
+        if (entries === undefined) {
+            return null;
+        }
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i];
+            if (entry.date === null || date === null || entry.date <= date) {
+                return entry;
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Holds money in multiple currencies, at most one Money per currency.
+ * Bags are immutable. Every operation returns a new bag.
+ */
+class MoneyBag {
+    /**
+     * @param {Iterable<Money>} [moneys] Moneys of the same currency are summed up.
+     */
+    constructor(moneys) {
+        const bagContents = new Map();
+        if (moneys !== undefined) {
+            for (const money of moneys) {
+                addToBagContents(bagContents, money);
+            }
+        }
+        bagMoneys.set(this, bagContents);
+    }
+
+    /**
+     * The class used for zero amounts of currencies that are not in an empty bag.
+     * Otherwise the class of the contained money is used.
+     */
+    static get Money() {
+        return Money;
+    }
+
+    /**
+     * @param {Money|MoneyBag} other
+     * @returns {MoneyBag}
+     */
+    add(other) {
+        return new this.constructor([...bagMoneys.get(this).values(), ...toMoneyIterable(other)]);
+    }
+
+    /**
+     * @param {Money|MoneyBag} other
+     * @returns {MoneyBag}
+     */
+    sub(other) {
+        return new this.constructor([...bagMoneys.get(this).values(), ...[...toMoneyIterable(other)].map(money => money.mul(-1))]);
+    }
+
+    /**
+     * @returns {MoneyBag}
+     */
+    neg() {
+        return new this.constructor(this.toArray().map(money => money.mul(-1)));
+    }
+
+    /**
+     * Gets the money of a currency. Returns zero if the currency is not in the bag.
+     * @param {string} currency
+     * @returns {Money}
+     */
+    get(currency) {
+        const MoneyClass = getBagMoneyClass(this);
+        currency = normalizeCurrency(currency, MoneyClass.currencyRegistry);
+        const money = bagMoneys.get(this).get(currency);
+        return money !== undefined ? money : MoneyClass.create(0, currency);
+    }
+
+    /**
+     * @param {string} currency
+     * @returns {boolean}
+     */
+    has(currency) {
+        return bagMoneys.get(this).has(normalizeCurrency(currency, getBagMoneyClass(this).currencyRegistry));
+    }
+
+    /**
+     * @returns {string[]} The currencies with non-zero amounts, sorted by code.
+     */
+    currencies() {
+        return [...bagMoneys.get(this).keys()].sort();
+    }
+
+    /**
+     * @returns {Money[]} The non-zero amounts, sorted by currency.
+     */
+    toArray() {
+        const moneys = bagMoneys.get(this);
+        return this.currencies().map(currency => moneys.get(currency));
+    }
+
+    [Symbol.iterator]() {
+        return this.toArray()[Symbol.iterator]();
+    }
+
+    get size() {
+        return bagMoneys.get(this).size;
+    }
+
+    isZero() {
+        return bagMoneys.get(this).size === 0;
+    }
+
+    /**
+     * @param {Money|MoneyBag} other
+     * @returns {boolean}
+     */
+    eq(other) {
+        const otherBag = other instanceof MoneyBag ? other : new this.constructor([other]);
+        if (this.size !== otherBag.size) {
+            return false;
+        }
+        return this.toArray().every(money => money.eq(otherBag.get(money.currency)));
+    }
+
+    /**
+     * Collapses the bag into a single currency. The converted amounts are
+     * summed up exactly and rounded once.
+     * @param {string} currency
+     * @param {ExchangeRates} rates
+     * @param {{roundingMode?: number, date?: Date|string}} [options]
+     * @returns {Money}
+     */
+    collapse(currency, rates, options) {
+        const { roundingMode, date } = options || {};
+        const MoneyClass = getBagMoneyClass(this);
+        let total = new MoneyClass.Big(0);
+        for (const money of bagMoneys.get(this).values()) {
+            total = total.plus(getAmount(money).times(rates.get(money.currency, currency, date).rate));
+        }
+        return new MoneyClass(total, currency, roundingMode);
+    }
+
+    toString() {
+        return this.toArray().map(money => money.toString()).join(', ');
+    }
+}
+
+/**
+ * Adds money to the contents of a bag that is being created. Bags are never changed afterwards.
+ * @param {Map<string,Money>} moneys
+ * @param {Money} money
+ */
+function addToBagContents(moneys, money) {
+    if (!(money instanceof Money)) {
+        throw new TypeError(`Cannot add ${money} to a MoneyBag.`);
+    }
+    const existing = moneys.get(money.currency);
+    const sum = existing !== undefined ? existing.add(money) : money;
+    if (sum.isZero()) {
+        moneys.delete(money.currency);
+    } else {
+        moneys.set(money.currency, sum);
+    }
+}
+
+/**
+ * @param {Money|MoneyBag} value
+ * @returns {Iterable<Money>}
+ */
+function toMoneyIterable(value) {
+    return value instanceof MoneyBag ? value : [value];
+}
+
+/**
+ * @param {Date|string} date
+ * @returns {string} The date formatted as YYYY-MM-DD.
+ */
+function normalizeRateDate(date) {
+    if (date instanceof Date && !Number.isNaN(date.getTime())) {
+        return date.toISOString().slice(0, 10);
+    }
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        // Reject dates that do not exist in the calendar, e.g. 2021-02-29.
+        const [year, month, day] = date.split('-').map(Number);
+        const utcDate = new Date(Date.UTC(year, month - 1, day));
+        if (utcDate.getUTCMonth() === month - 1 && utcDate.getUTCDate() === day) {
+            return date;
+        }
+    }
+    throw new InvalidOptionError(`Invalid date: ${date}`, { option: 'date', value: date });
+}
+
+/**
+ * Sorts undated entries before dated entries.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number}
+ */
+function compareRateDates(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null) {
+        return -1;
+    }
+    if (b === null) {
+        return 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+/**
+ * @typedef {object} TaxLine
+ * @property {Money} amount The net amount, or the gross amount for tax-inclusive calculations.
+ * @property {number|string|Big|TaxRate|Array<number|string|Big|TaxRate>} taxes Taxes applied in order.
+ */
+
+/**
+ * @typedef {object} TaxRate
+ * @property {string} [name] Groups taxes across lines. Defaults to the rate.
+ * @property {number|string|Big} rate A fraction, e.g. 0.19 for 19%.
+ * @property {boolean} [compound] True if the tax is also levied on the preceding taxes.
+ */
+
+/**
+ * @typedef {object} LineTax
+ * @property {Money} net
+ * @property {Money} tax
+ * @property {Money} gross
+ * @property {Array<{name: string, rate: Big, compound: boolean, tax: Money}>} taxes
+ */
+
+/**
+ * @typedef {object} TaxResult
+ * @property {Money} net
+ * @property {Money} tax
+ * @property {Money} gross
+ * @property {LineTax[]} lines
+ * @property {Array<{name: string, rate: Big, compound: boolean, net: Money, tax: Money}>} groups The taxes by name.
+ */
+
+/**
+ * Calculates the taxes of document lines. The net, tax and gross amounts of lines,
+ * groups and the document always reconcile. Taxes that are rounded per group or per
+ * document are distributed to the lines such that they sum up to the rounded tax.
+ */
+class TaxCalculator {
+    /**
+     * @param {{rounding?: string, inclusive?: boolean, roundingMode?: number}} [options]
+     * The option inclusive means that the amounts of the lines are gross amounts.
+     */
+    constructor(options) {
+        const { rounding = TaxRounding.line, inclusive = false, roundingMode } = options || {};
+        if (!Object.prototype.hasOwnProperty.call(TaxRounding, rounding)) {
+            throw new InvalidOptionError(`Invalid value for option rounding: ${rounding}`, { option: 'rounding', value: rounding });
+        }
+        this.rounding = rounding;
+        this.inclusive = Boolean(inclusive);
+        this.roundingMode = roundingMode;
+    }
+
+    /**
+     * @param {TaxLine[]} lines
+     * @returns {TaxResult}
+     */
+    calculate(lines) {
+        verifyNonEmptyList('calculate', lines);
+        const amounts = lines.map(line => line.amount);
+        const currency = verifyListCurrency('calculate', amounts);
+        const MoneyClass = amounts[0].constructor;
+
+        // Calculate the exact tax of each tax of each line.
+        const entries = [];
+        const lineTaxes = lines.map((line, lineIndex) => {
+            const taxes = normalizeTaxes(line.taxes, MoneyClass);
+            let multiplier = new MoneyClass.Big(1);
+            const factors = taxes.map(tax => {
+                const factor = tax.compound ? tax.rate.times(multiplier) : tax.rate;
+                multiplier = multiplier.plus(factor);
+                return factor;
+            });
+            const exactNet = this.inclusive ? getAmount(line.amount).div(multiplier) : getAmount(line.amount);
+            return taxes.map((tax, index) => {
+                const entry = { lineIndex, tax, exact: exactNet.times(factors[index]), rounded: null };
+                entries.push(entry);
+                return entry;
+            });
+        });
+
+        // Round the taxes of each rounding sequence such that they sum up to the rounded total.
+        const sequences = new Map();
+        entries.forEach((entry, index) => {
+            let key = '';
+            if (this.rounding === TaxRounding.line) {
+                key = index;
+            } else if (this.rounding === TaxRounding.group) {
+                key = entry.tax.name;
+            }
+            if (!sequences.has(key)) {
+                sequences.set(key, []);
+            }
+            sequences.get(key).push(entry);
+        });
+        for (const sequence of sequences.values()) {
+            let exactSum = new MoneyClass.Big(0);
+            let roundedSum = new MoneyClass.Big(0);
+            for (const entry of sequence) {
+                exactSum = exactSum.plus(entry.exact);
+                const rounded = MoneyClass.roundCurrencyFraction(exactSum, currency, this.roundingMode);
+                entry.rounded = rounded.minus(roundedSum);
+                roundedSum = rounded;
+            }
+        }
+
+        const resultLines = lines.map((line, lineIndex) => {
+            const taxes = lineTaxes[lineIndex].map(entry => ({
+                name: entry.tax.name,
+                rate: entry.tax.rate,
+                compound: entry.tax.compound,
+                tax: MoneyClass.createFromBig(entry.rounded, currency),
+            }));
+            const tax = MoneyClass.sum(taxes.map(t => t.tax), currency);
+            const net = this.inclusive ? line.amount.sub(tax) : line.amount;
+            const gross = this.inclusive ? line.amount : line.amount.add(tax);
+            return { net, tax, gross, taxes };
+        });
+
+        const groups = new Map();
+        resultLines.forEach(line => {
+            for (const lineTax of line.taxes) {
+                let group = groups.get(lineTax.name);
+                if (group === undefined) {
+                    group = { name: lineTax.name, rate: lineTax.rate, compound: lineTax.compound, net: MoneyClass.sum([], currency), tax: MoneyClass.sum([], currency) };
+                    groups.set(lineTax.name, group);
+                } else if (!group.rate.eq(lineTax.rate) || group.compound !== lineTax.compound) {
+                    throw new RangeError(`Tax ${lineTax.name} has different rates.`);
+                }
+                group.net = group.net.add(line.net);
+                group.tax = group.tax.add(lineTax.tax);
+            }
+        });
+
+        return {
+            net: MoneyClass.sum(resultLines.map(line => line.net), currency),
+            tax: MoneyClass.sum(resultLines.map(line => line.tax), currency),
+            gross: MoneyClass.sum(resultLines.map(line => line.gross), currency),
+            lines: resultLines,
+            groups: Array.from(groups.values()),
+        };
+    }
+}
+
+/**
+ * @param {number|string|Big|TaxRate|Array<number|string|Big|TaxRate>} taxes
+ * @param {typeof Money} MoneyClass
+ * @returns {Array<{name: string, rate: Big, compound: boolean}>}
+ */
+function normalizeTaxes(taxes, MoneyClass) {
+    if (!Array.isArray(taxes)) {
+        taxes = taxes === undefined ? [] : [taxes];
+    }
+    return taxes.map(tax => {
+        const isRate = tax === null || typeof tax !== 'object' || tax instanceof MoneyClass.Big;
+        const { name, rate, compound = false } = isRate ? { rate: tax } : tax;
+        let bigRate = null;
+        try {
+            bigRate = MoneyClass.parseAmount(rate);
+        } catch (e) {
+            throw new InvalidAmountError(`Invalid tax rate: ${rate}`, { amount: rate });
+        }
+        if (bigRate.lt(0)) {
+            throw new InvalidAmountError(`Invalid tax rate: ${rate}`, { amount: rate });
+        }
+        if (name !== undefined && (typeof name !== 'string' || name === '')) {
+            throw new RangeError(`Invalid tax name: ${name}`);
+        }
+        return {
+            name: name !== undefined ? name : bigRate.toFixed(),
+            rate: bigRate,
+            compound: Boolean(compound),
+        };
+    });
+}
+
+/**
+ * @typedef {object} AmortizationRow
+ * @property {number} period Starts at 1.
+ * @property {Money} payment
+ * @property {Money} interest
+ * @property {Money} principal The repaid principal.
+ * @property {Money} balance The remaining balance after the payment.
+ */
+
+/**
+ * A loan that is repaid in equal periods. All amounts are rounded to the
+ * currency. The final payment absorbs the accumulated rounding, so that the
+ * balance ends at exactly zero.
+ */
+class Loan {
+    /**
+     * @param {{principal: Money, rate: number|string|Big, term: number, frequency?: number, type?: string, roundingMode?: number}} options
+     * The annual interest rate is a fraction, e.g. 0.05 for 5%. The term is in years.
+     */
+    constructor(options) {
+        const {
+            principal,
+            rate,
+            term,
+            frequency = PaymentFrequency.monthly,
+            type = AmortizationType.annuity,
+            roundingMode,
+        } = options || {};
+        if (!(principal instanceof Money)) {
+            throw new TypeError('The principal must be money.');
+        }
+        const bigRate = principal.constructor.parseAmount(rate);
+        if (bigRate.lt(0)) {
+            throw new InvalidAmountError(`Invalid interest rate: ${rate}`, { amount: rate });
+        }
+        if (!Number.isSafeInteger(frequency) || frequency < 1) {
+            throw new InvalidOptionError(`Invalid value for option frequency: ${frequency}`, { option: 'frequency', value: frequency });
+        }
+        if (!Object.prototype.hasOwnProperty.call(AmortizationType, type)) {
+            throw new InvalidOptionError(`Invalid value for option type: ${type}`, { option: 'type', value: type });
+        }
+        const periods = term * frequency;
+        if (typeof term !== 'number' || !Number.isSafeInteger(periods) || periods < 1) {
+            throw new RangeError(`Invalid term: ${term}`);
+        }
+        this.principal = principal;
+        this.rate = bigRate;
+        this.term = term;
+        this.frequency = frequency;
+        this.type = type;
+        this.roundingMode = roundingMode;
+    }
+
+    /**
+     * The number of payments.
+     * @returns {number}
+     */
+    get periods() {
+        return this.term * this.frequency;
+    }
+
+    /**
+     * The interest rate per period.
+     * @returns {Big}
+     */
+    get periodicRate() {
+        return this.rate.div(this.frequency);
+    }
+
+    /**
+     * @returns {AmortizationRow[]}
+     */
+    schedule() {
+        const periods = this.periods;
+        const periodicRate = this.periodicRate;
+        const regularPayment = this.type === AmortizationType.annuity ? this.annuityPayment() : null;
+        const regularPrincipal = this.type === AmortizationType.linear
+            ? this.principal.div(periods, this.roundingMode)
+            : null;
+
+        const rows = [];
+        let balance = this.principal;
+        for (let period = 1; period <= periods; period++) {
+            const interest = balance.mul(periodicRate, this.roundingMode);
+            let principal = null;
+            if (period === periods) {
+                principal = balance;
+            } else if (this.type === AmortizationType.annuity) {
+                principal = regularPayment.sub(interest);
+            } else if (this.type === AmortizationType.linear) {
+                principal = regularPrincipal;
+            } else {
+                principal = balance.mul(0);
+            }
+            balance = balance.sub(principal);
+            rows.push({ period, payment: interest.add(principal), interest, principal, balance });
+        }
+        return rows;
+    }
+
+    /**
+     * The regular payment of an annuity loan.
+     * @private
+     * @returns {Money}
+     */
+    annuityPayment() {
+        const Big = this.principal.constructor.Big;
+        const periodicRate = this.periodicRate;
+        if (isBigZero(periodicRate)) {
+            return this.principal.div(this.periods, this.roundingMode);
+        }
+        const growth = powBig(periodicRate.plus(1), this.periods, Big.DP);
+        const factor = periodicRate.times(growth).div(growth.minus(1));
+        return this.principal.mul(factor, this.roundingMode);
+    }
+}
+
+/**
+ * @typedef {object} DatedCashFlow
+ * @property {Money} amount
+ * @property {Date|string} date E.g. '2020-12-31'.
+ */
+
+/**
+ * Time value of money calculations. Rates are fractions per period, e.g. 0.05
+ * for 5%. Intermediate results are rounded to `precision` decimal places and
+ * money is rounded to the currency only once at the end.
+ *
+ * IRR and XIRR use Newton's method starting at the guess. The iteration stops
+ * when two consecutive rates differ by less than 10^-rateDecimalPlaces. If a
+ * step would lead to a rate of -1 or less, the rate is moved halfway toward -1
+ * instead. Once rates with a positive and a negative net present value are
+ * known, steps that leave this bracket or do not halve the previous step are
+ * replaced by bisection. A RangeError is thrown if the iteration does not
+ * converge within maxIterations or the derivative becomes zero. Cash flows with
+ * more than one sign change may have multiple rates, in which case usually the
+ * rate closest to the guess is found.
+ */
+class Finance {
+    /**
+     * @param {{precision?: number, rateDecimalPlaces?: number, maxIterations?: number, roundingMode?: number}} [options]
+     */
+    constructor(options) {
+        const { precision = 30, rateDecimalPlaces = 10, maxIterations = 100, roundingMode } = options || {};
+        [['precision', precision], ['rateDecimalPlaces', rateDecimalPlaces], ['maxIterations', maxIterations]].forEach(([name, value]) => {
+            if (!Number.isSafeInteger(value) || value < 1) {
+                throw new InvalidOptionError(`Invalid value for option ${name}: ${value}`, { option: name, value });
+            }
+        });
+        if (rateDecimalPlaces > precision) {
+            throw new InvalidOptionError(`Invalid value for option rateDecimalPlaces: ${rateDecimalPlaces}`, { option: 'rateDecimalPlaces', value: rateDecimalPlaces });
+        }
+        this.precision = precision;
+        this.rateDecimalPlaces = rateDecimalPlaces;
+        this.maxIterations = maxIterations;
+        this.roundingMode = roundingMode;
+    }
+
+    /**
+     * The value of the money after compounding for the given number of periods.
+     * @param {Money} money
+     * @param {number|string|Big} rate
+     * @param {number|string|Big} periods May be fractional.
+     * @returns {Money}
+     */
+    futureValue(money, rate, periods) {
+        const WorkBig = this.createBig(money.constructor);
+        const factor = powRealBig(parseRate(WorkBig, rate).plus(1), new WorkBig(periods));
+        return this.toMoney(money, new WorkBig(getAmount(money)).times(factor));
+    }
+
+    /**
+     * The value today of money that is due after the given number of periods.
+     * @param {Money} money
+     * @param {number|string|Big} rate
+     * @param {number|string|Big} periods May be fractional.
+     * @returns {Money}
+     */
+    presentValue(money, rate, periods) {
+        const WorkBig = this.createBig(money.constructor);
+        const factor = powRealBig(parseRate(WorkBig, rate).plus(1), new WorkBig(periods));
+        return this.toMoney(money, new WorkBig(getAmount(money)).div(factor));
+    }
+
+    /**
+     * The net present value of cash flows at the end of consecutive periods.
+     * The first cash flow is at period 0 and is not discounted.
+     * @param {number|string|Big} rate
+     * @param {Money[]} cashFlows
+     * @returns {Money}
+     */
+    npv(rate, cashFlows) {
+        verifyNonEmptyList('npv', cashFlows);
+        verifyListCurrency('npv', cashFlows);
+        const WorkBig = this.createBig(cashFlows[0].constructor);
+        const [value] = periodicPresentValue(parseRate(WorkBig, rate), cashFlows);
+        return this.toMoney(cashFlows[0], value);
+    }
+
+    /**
+     * The rate at which the net present value of the cash flows is zero.
+     * @param {Money[]} cashFlows At consecutive periods, starting at period 0.
+     * @param {number|string|Big} [guess]
+     * @returns {Big}
+     */
+    irr(cashFlows, guess) {
+        verifyCashFlowSigns('irr', cashFlows);
+        return this.solveRate('irr', cashFlows[0].constructor, guess, rate => periodicPresentValue(rate, cashFlows));
+    }
+
+    /**
+     * The net present value of cash flows at arbitrary dates, discounted to
+     * the date of the first cash flow using a 365 day year.
+     * @param {number|string|Big} rate An annual rate.
+     * @param {DatedCashFlow[]} cashFlows
+     * @returns {Money}
+     */
+    xnpv(rate, cashFlows) {
+        const amounts = cashFlows.map(cashFlow => cashFlow.amount);
+        verifyNonEmptyList('xnpv', amounts);
+        verifyListCurrency('xnpv', amounts);
+        const WorkBig = this.createBig(amounts[0].constructor);
+        const [value] = datedPresentValue(parseRate(WorkBig, rate), cashFlows);
+        return this.toMoney(amounts[0], value);
+    }
+
+    /**
+     * The annual rate at which the net present value of the dated cash flows is zero.
+     * @param {DatedCashFlow[]} cashFlows
+     * @param {number|string|Big} [guess]
+     * @returns {Big}
+     */
+    xirr(cashFlows, guess) {
+        const amounts = cashFlows.map(cashFlow => cashFlow.amount);
+        verifyCashFlowSigns('xirr', amounts);
+        return this.solveRate('xirr', amounts[0].constructor, guess, rate => datedPresentValue(rate, cashFlows));
+    }
+
+    /**
+     * Finds a root of the present value using Newton's method.
+     * @private
+     * @param {string} op
+     * @param {typeof Money} MoneyClass
+     * @param {number|string|Big|undefined} guess
+     * @param {function(Big): Big[]} presentValue Returns the value and its derivative.
+     * @returns {Big}
+     */
+    solveRate(op, MoneyClass, guess, presentValue) {
+        const WorkBig = this.createBig(MoneyClass);
+        const tolerance = new WorkBig(`1e-${this.rateDecimalPlaces}`);
+        let rate = parseRate(WorkBig, guess !== undefined ? guess : '0.1');
+        // Rates with a positive and a negative present value bracket a root once both are known.
+        let positive = null;
+        let negative = null;
+        let previousStep = null;
+        for (let i = 0; i < this.maxIterations; i++) {
+            const [value, derivative] = presentValue(rate);
+            if (value.gt(0)) {
+                positive = rate;
+            } else {
+                negative = rate;
+            }
+            let next = isBigZero(derivative) ? null : rate.minus(value.div(derivative));
+            if (positive !== null && negative !== null) {
+                const [low, high] = positive.lt(negative) ? [positive, negative] : [negative, positive];
+                const isSlow = next !== null && previousStep !== null && next.minus(rate).abs().gt(previousStep.div(2));
+                if (next === null || next.lte(low) || next.gte(high) || isSlow) {
+                    next = low.plus(high).div(2);
+                }
+            } else if (next === null) {
+                throw new RangeError(`Cannot compute ${op} because the derivative is zero at rate ${rate}.`);
+            } else if (next.lte(-1)) {
+                next = rate.minus(1).div(2);
+            }
+            const step = next.minus(rate).abs();
+            if (step.lt(tolerance)) {
+                return new MoneyClass.Big(next.round(this.rateDecimalPlaces).toFixed());
+            }
+            previousStep = step;
+            rate = next;
+        }
+        throw new RangeError(`Cannot compute ${op} because it did not converge within ${this.maxIterations} iterations.`);
+    }
+
+    /**
+     * A Big constructor for intermediate results.
+     * @private
+     * @param {typeof Money} MoneyClass
+     * @returns {typeof Big}
+     */
+    createBig(MoneyClass) {
+        const WorkBig = MoneyClass.Big();
+        WorkBig.DP = this.precision;
+        return WorkBig;
+    }
+
+    /**
+     * @private
+     * @param {Money} money The money whose class and currency are used.
+     * @param {Big} amount
+     * @returns {Money}
+     */
+    toMoney(money, amount) {
+        const MoneyClass = money.constructor;
+        const rounded = MoneyClass.roundCurrencyFraction(new MoneyClass.Big(amount.toFixed()), money.currency, this.roundingMode);
+        return MoneyClass.createFromBig(rounded, money.currency);
+    }
+}
+
+/**
+ * @param {typeof Big} WorkBig
+ * @param {number|string|Big} rate
+ * @returns {Big}
+ */
+function parseRate(WorkBig, rate) {
+    let bigRate = null;
+    try {
+        bigRate = new WorkBig(rate);
+    } catch (e) {
+        throw new InvalidAmountError(`Invalid rate: ${rate}`, { amount: rate });
+    }
+    if (bigRate.lte(-1)) {
+        throw new InvalidAmountError(`Invalid rate: ${rate}`, { amount: rate });
+    }
+    return bigRate;
+}
+
+/**
+ * Verifies that there is at least one positive and one negative cash flow of the same currency.
+ * @param {string} op
+ * @param {Money[]} cashFlows
+ */
+function verifyCashFlowSigns(op, cashFlows) {
+    verifyNonEmptyList(op, cashFlows);
+    verifyListCurrency(op, cashFlows);
+    if (!cashFlows.some(cashFlow => cashFlow.isPositive()) || !cashFlows.some(cashFlow => cashFlow.isNegative())) {
+        throw new RangeError(`Cannot compute ${op} without positive and negative cash flows.`);
+    }
+}
+
+/**
+ * @param {Big} rate
+ * @param {Money[]} cashFlows
+ * @returns {Big[]} The present value and its derivative with respect to the rate.
+ */
+function periodicPresentValue(rate, cashFlows) {
+    const WorkBig = rate.constructor;
+    const discount = new WorkBig(1).div(rate.plus(1));
+    let factor = new WorkBig(1);
+    let value = new WorkBig(0);
+    let derivative = new WorkBig(0);
+    cashFlows.forEach((cashFlow, period) => {
+        const discounted = new WorkBig(getAmount(cashFlow)).times(factor);
+        value = value.plus(discounted);
+        derivative = derivative.minus(discounted.times(period).times(discount).round(WorkBig.DP));
+        factor = factor.times(discount).round(WorkBig.DP);
+    });
+    return [value, derivative];
+}
+
+/**
+ * @param {Big} rate
+ * @param {DatedCashFlow[]} cashFlows
+ * @returns {Big[]} The present value and its derivative with respect to the rate.
+ */
+function datedPresentValue(rate, cashFlows) {
+    const WorkBig = rate.constructor;
+    const dates = cashFlows.map(cashFlow => Date.parse(`${normalizeRateDate(cashFlow.date)}T00:00:00Z`));
+    const start = Math.min(...dates);
+    const logGrowth = lnBig(rate.plus(1));
+    const discount = new WorkBig(1).div(rate.plus(1));
+    let value = new WorkBig(0);
+    let derivative = new WorkBig(0);
+    cashFlows.forEach((cashFlow, index) => {
+        const years = new WorkBig((dates[index] - start) / 86400000).div(365);
+        const discounted = new WorkBig(getAmount(cashFlow.amount)).times(expBig(logGrowth.times(years).times(-1)));
+        value = value.plus(discounted);
+        derivative = derivative.minus(discounted.times(years).times(discount).round(WorkBig.DP));
+    });
+    return [value, derivative];
+}
+
+/**
+ * @typedef {object} CurrencyInfo
+ * @property {string} code The alphabetic code.
+ * @property {string} numericCode The three digit numeric code.
+ * @property {number|null} minorUnits Null if not applicable, e.g. for gold.
+ * @property {string} name
+ * @property {string|null} withdrawn The month the currency was withdrawn, e.g. '2002-03', or null if it is current.
+ */
+
+/**
+ * The currencies of ISO 4217: alphabetic code, numeric code, minor units, name
+ * and, for historic currencies, the month they were withdrawn.
+ */
+const iso4217Currencies = [
+    ['AED', '784', 2, 'UAE Dirham'],
+    ['AFN', '971', 2, 'Afghani'],
+    ['ALL', '008', 2, 'Lek'],
+    ['AMD', '051', 2, 'Armenian Dram'],
+    ['ANG', '532', 2, 'Netherlands Antillean Guilder', '2025-06'],
+    ['AOA', '973', 2, 'Kwanza'],
+    ['ARS', '032', 2, 'Argentine Peso'],
+    ['ATS', '040', 2, 'Schilling', '2002-03'],
+    ['AUD', '036', 2, 'Australian Dollar'],
+    ['AWG', '533', 2, 'Aruban Florin'],
+    ['AZM', '031', 2, 'Azerbaijanian Manat', '2005-12'],
+    ['AZN', '944', 2, 'Azerbaijan Manat'],
+    ['BAM', '977', 2, 'Convertible Mark'],
+    ['BBD', '052', 2, 'Barbados Dollar'],
+    ['BDT', '050', 2, 'Taka'],
+    ['BEF', '056', 0, 'Belgian Franc', '2002-03'],
+    ['BGN', '975', 2, 'Bulgarian Lev', '2026-01'],
+    ['BHD', '048', 3, 'Bahraini Dinar'],
+    ['BIF', '108', 0, 'Burundi Franc'],
+    ['BMD', '060', 2, 'Bermudian Dollar'],
+    ['BND', '096', 2, 'Brunei Dollar'],
+    ['BOB', '068', 2, 'Boliviano'],
+    ['BOV', '984', 2, 'Mvdol'],
+    ['BRL', '986', 2, 'Brazilian Real'],
+    ['BSD', '044', 2, 'Bahamian Dollar'],
+    ['BTN', '064', 2, 'Ngultrum'],
+    ['BWP', '072', 2, 'Pula'],
+    ['BYN', '933', 2, 'Belarusian Ruble'],
+    ['BYR', '974', 0, 'Belarusian Ruble', '2017-01'],
+    ['BZD', '084', 2, 'Belize Dollar'],
+    ['CAD', '124', 2, 'Canadian Dollar'],
+    ['CDF', '976', 2, 'Congolese Franc'],
+    ['CHE', '947', 2, 'WIR Euro'],
+    ['CHF', '756', 2, 'Swiss Franc'],
+    ['CHW', '948', 2, 'WIR Franc'],
+    ['CLF', '990', 4, 'Unidad de Fomento'],
+    ['CLP', '152', 0, 'Chilean Peso'],
+    ['CNY', '156', 2, 'Yuan Renminbi'],
+    ['COP', '170', 2, 'Colombian Peso'],
+    ['COU', '970', 2, 'Unidad de Valor Real'],
+    ['CRC', '188', 2, 'Costa Rican Colon'],
+    ['CUC', '931', 2, 'Peso Convertible', '2021-06'],
+    ['CUP', '192', 2, 'Cuban Peso'],
+    ['CVE', '132', 2, 'Cabo Verde Escudo'],
+    ['CYP', '196', 2, 'Cyprus Pound', '2008-01'],
+    ['CZK', '203', 2, 'Czech Koruna'],
+    ['DEM', '276', 2, 'Deutsche Mark', '2002-03'],
+    ['DJF', '262', 0, 'Djibouti Franc'],
+    ['DKK', '208', 2, 'Danish Krone'],
+    ['DOP', '214', 2, 'Dominican Peso'],
+    ['DZD', '012', 2, 'Algerian Dinar'],
+    ['EEK', '233', 2, 'Kroon', '2011-01'],
+    ['EGP', '818', 2, 'Egyptian Pound'],
+    ['ERN', '232', 2, 'Nakfa'],
+    ['ESP', '724', 0, 'Spanish Peseta', '2002-03'],
+    ['ETB', '230', 2, 'Ethiopian Birr'],
+    ['EUR', '978', 2, 'Euro'],
+    ['FIM', '246', 2, 'Markka', '2002-03'],
+    ['FJD', '242', 2, 'Fiji Dollar'],
+    ['FKP', '238', 2, 'Falkland Islands Pound'],
+    ['FRF', '250', 2, 'French Franc', '2002-03'],
+    ['GBP', '826', 2, 'Pound Sterling'],
+    ['GEL', '981', 2, 'Lari'],
+    ['GHC', '288', 2, 'Cedi', '2007-06'],
+    ['GHS', '936', 2, 'Ghana Cedi'],
+    ['GIP', '292', 2, 'Gibraltar Pound'],
+    ['GMD', '270', 2, 'Dalasi'],
+    ['GNF', '324', 0, 'Guinean Franc'],
+    ['GRD', '300', 0, 'Drachma', '2002-03'],
+    ['GTQ', '320', 2, 'Quetzal'],
+    ['GYD', '328', 2, 'Guyana Dollar'],
+    ['HKD', '344', 2, 'Hong Kong Dollar'],
+    ['HNL', '340', 2, 'Lempira'],
+    ['HRK', '191', 2, 'Kuna', '2023-01'],
+    ['HTG', '332', 2, 'Gourde'],
+    ['HUF', '348', 2, 'Forint'],
+    ['IDR', '360', 2, 'Rupiah'],
+    ['IEP', '372', 2, 'Irish Pound', '2002-03'],
+    ['ILS', '376', 2, 'New Israeli Sheqel'],
+    ['INR', '356', 2, 'Indian Rupee'],
+    ['IQD', '368', 3, 'Iraqi Dinar'],
+    ['IRR', '364', 2, 'Iranian Rial'],
+    ['ISK', '352', 0, 'Iceland Krona'],
+    ['ITL', '380', 0, 'Italian Lira', '2002-03'],
+    ['JMD', '388', 2, 'Jamaican Dollar'],
+    ['JOD', '400', 3, 'Jordanian Dinar'],
+    ['JPY', '392', 0, 'Yen'],
+    ['KES', '404', 2, 'Kenyan Shilling'],
+    ['KGS', '417', 2, 'Som'],
+    ['KHR', '116', 2, 'Riel'],
+    ['KMF', '174', 0, 'Comorian Franc'],
+    ['KPW', '408', 2, 'North Korean Won'],
+    ['KRW', '410', 0, 'Won'],
+    ['KWD', '414', 3, 'Kuwaiti Dinar'],
+    ['KYD', '136', 2, 'Cayman Islands Dollar'],
+    ['KZT', '398', 2, 'Tenge'],
+    ['LAK', '418', 2, 'Lao Kip'],
+    ['LBP', '422', 2, 'Lebanese Pound'],
+    ['LKR', '144', 2, 'Sri Lanka Rupee'],
+    ['LRD', '430', 2, 'Liberian Dollar'],
+    ['LSL', '426', 2, 'Loti'],
+    ['LTL', '440', 2, 'Lithuanian Litas', '2015-01'],
+    ['LUF', '442', 0, 'Luxembourg Franc', '2002-03'],
+    ['LVL', '428', 2, 'Latvian Lats', '2014-01'],
+    ['LYD', '434', 3, 'Libyan Dinar'],
+    ['MAD', '504', 2, 'Moroccan Dirham'],
+    ['MDL', '498', 2, 'Moldovan Leu'],
+    ['MGA', '969', 2, 'Malagasy Ariary'],
+    ['MKD', '807', 2, 'Denar'],
+    ['MMK', '104', 2, 'Kyat'],
+    ['MNT', '496', 2, 'Tugrik'],
+    ['MOP', '446', 2, 'Pataca'],
+    ['MRO', '478', 2, 'Ouguiya', '2018-01'],
+    ['MRU', '929', 2, 'Ouguiya'],
+    ['MTL', '470', 2, 'Maltese Lira', '2008-01'],
+    ['MUR', '480', 2, 'Mauritius Rupee'],
+    ['MVR', '462', 2, 'Rufiyaa'],
+    ['MWK', '454', 2, 'Malawi Kwacha'],
+    ['MXN', '484', 2, 'Mexican Peso'],
+    ['MXV', '979', 2, 'Mexican Unidad de Inversion (UDI)'],
+    ['MYR', '458', 2, 'Malaysian Ringgit'],
+    ['MZM', '508', 2, 'Mozambique Metical', '2006-06'],
+    ['MZN', '943', 2, 'Mozambique Metical'],
+    ['NAD', '516', 2, 'Namibia Dollar'],
+    ['NGN', '566', 2, 'Naira'],
+    ['NIO', '558', 2, 'Cordoba Oro'],
+    ['NLG', '528', 2, 'Netherlands Guilder', '2002-03'],
+    ['NOK', '578', 2, 'Norwegian Krone'],
+    ['NPR', '524', 2, 'Nepalese Rupee'],
+    ['NZD', '554', 2, 'New Zealand Dollar'],
+    ['OMR', '512', 3, 'Rial Omani'],
+    ['PAB', '590', 2, 'Balboa'],
+    ['PEN', '604', 2, 'Sol'],
+    ['PGK', '598', 2, 'Kina'],
+    ['PHP', '608', 2, 'Philippine Peso'],
+    ['PKR', '586', 2, 'Pakistan Rupee'],
+    ['PLN', '985', 2, 'Zloty'],
+    ['PTE', '620', 0, 'Portuguese Escudo', '2002-03'],
+    ['PYG', '600', 0, 'Guarani'],
+    ['QAR', '634', 2, 'Qatari Rial'],
+    ['ROL', '642', 2, 'Leu', '2005-06'],
+    ['RON', '946', 2, 'Romanian Leu'],
+    ['RSD', '941', 2, 'Serbian Dinar'],
+    ['RUB', '643', 2, 'Russian Ruble'],
+    ['RWF', '646', 0, 'Rwanda Franc'],
+    ['SAR', '682', 2, 'Saudi Riyal'],
+    ['SBD', '090', 2, 'Solomon Islands Dollar'],
+    ['SCR', '690', 2, 'Seychelles Rupee'],
+    ['SDG', '938', 2, 'Sudanese Pound'],
+    ['SEK', '752', 2, 'Swedish Krona'],
+    ['SGD', '702', 2, 'Singapore Dollar'],
+    ['SHP', '654', 2, 'Saint Helena Pound'],
+    ['SIT', '705', 2, 'Tolar', '2007-01'],
+    ['SKK', '703', 2, 'Slovak Koruna', '2009-01'],
+    ['SLE', '925', 2, 'Leone'],
+    ['SLL', '694', 2, 'Leone', '2024-01'],
+    ['SOS', '706', 2, 'Somali Shilling'],
+    ['SRD', '968', 2, 'Surinam Dollar'],
+    ['SSP', '728', 2, 'South Sudanese Pound'],
+    ['STD', '678', 2, 'Dobra', '2018-01'],
+    ['STN', '930', 2, 'Dobra'],
+    ['SVC', '222', 2, 'El Salvador Colon'],
+    ['SYP', '760', 2, 'Syrian Pound'],
+    ['SZL', '748', 2, 'Lilangeni'],
+    ['THB', '764', 2, 'Baht'],
+    ['TJS', '972', 2, 'Somoni'],
+    ['TMM', '795', 2, 'Turkmenistan Manat', '2009-01'],
+    ['TMT', '934', 2, 'Turkmenistan New Manat'],
+    ['TND', '788', 3, 'Tunisian Dinar'],
+    ['TOP', '776', 2, 'Pa\'anga'],
+    ['TRL', '792', 0, 'Turkish Lira', '2005-12'],
+    ['TRY', '949', 2, 'Turkish Lira'],
+    ['TTD', '780', 2, 'Trinidad and Tobago Dollar'],
+    ['TWD', '901', 2, 'New Taiwan Dollar'],
+    ['TZS', '834', 2, 'Tanzanian Shilling'],
+    ['UAH', '980', 2, 'Hryvnia'],
+    ['UGX', '800', 0, 'Uganda Shilling'],
+    ['USD', '840', 2, 'US Dollar'],
+    ['USN', '997', 2, 'US Dollar (Next day)'],
+    ['UYI', '940', 0, 'Uruguay Peso en Unidades Indexadas (UI)'],
+    ['UYU', '858', 2, 'Peso Uruguayo'],
+    ['UYW', '927', 4, 'Unidad Previsional'],
+    ['UZS', '860', 2, 'Uzbekistan Sum'],
+    ['VEF', '937', 2, 'Bolivar', '2018-08'],
+    ['VED', '926', 2, 'Bolivar Soberano'],
+    ['VES', '928', 2, 'Bolivar Soberano'],
+    ['VND', '704', 0, 'Dong'],
+    ['VUV', '548', 0, 'Vatu'],
+    ['WST', '882', 2, 'Tala'],
+    ['XAF', '950', 0, 'CFA Franc BEAC'],
+    ['XAG', '961', null, 'Silver'],
+    ['XAU', '959', null, 'Gold'],
+    ['XBA', '955', null, 'Bond Markets Unit European Composite Unit (EURCO)'],
+    ['XBB', '956', null, 'Bond Markets Unit European Monetary Unit (E.M.U.-6)'],
+    ['XBC', '957', null, 'Bond Markets Unit European Unit of Account 9 (E.U.A.-9)'],
+    ['XBD', '958', null, 'Bond Markets Unit European Unit of Account 17 (E.U.A.-17)'],
+    ['XCD', '951', 2, 'East Caribbean Dollar'],
+    ['XCG', '532', 2, 'Caribbean Guilder'],
+    ['XDR', '960', null, 'SDR (Special Drawing Right)'],
+    ['XOF', '952', 0, 'CFA Franc BCEAO'],
+    ['XPD', '964', null, 'Palladium'],
+    ['XPF', '953', 0, 'CFP Franc'],
+    ['XPT', '962', null, 'Platinum'],
+    ['XSU', '994', null, 'Sucre'],
+    ['XTS', '963', null, 'Codes specifically reserved for testing purposes'],
+    ['XUA', '965', null, 'ADB Unit of Account'],
+    ['XXX', '999', null, 'No currency'],
+    ['YER', '886', 2, 'Yemeni Rial'],
+    ['ZAR', '710', 2, 'Rand'],
+    ['ZMK', '894', 2, 'Zambian Kwacha', '2013-01'],
+    ['ZMW', '967', 2, 'Zambian Kwacha'],
+    ['ZWG', '924', 2, 'Zimbabwe Gold'],
+    ['ZWL', '932', 2, 'Zimbabwe Dollar', '2024-09'],
+];
+
+/**
+ * @type {Map<string,CurrencyInfo>}
+ */
+const currencyInfos = new Map(iso4217Currencies.map(([code, numericCode, minorUnits, name, withdrawn = null]) => {
+    return [code, Object.freeze({ code, numericCode, minorUnits, name, withdrawn })];
+}));
+
+/**
+ * Caches the definitions of ISO 4217 currencies used in strict mode.
+ * @type {Map<string,CurrencyDefinition>}
+ */
+const isoCurrencyDefinitions = new Map();
+
+/**
+ * @typedef {object} StatementBalance
+ * @property {Money} amount Negative for a debit balance.
+ * @property {string} date Formatted as YYYY-MM-DD.
+ */
+
+/**
+ * @typedef {object} StatementEntry
+ * @property {Money} amount Positive for credits and negative for debits.
+ * @property {string} creditDebit A {@link CreditDebit}. For reversals this is the booked direction,
+ *     e.g. an MT940 RC mark is a debit.
+ * @property {boolean} reversal True if the entry reverses an earlier entry. It does not change the direction.
+ * @property {boolean} booked False for pending entries, which do not count towards the closing balance.
+ * @property {string|null} bookingDate Formatted as YYYY-MM-DD.
+ * @property {string|null} valueDate Formatted as YYYY-MM-DD.
+ * @property {string|null} reference The reference of the account owner, e.g. the end-to-end id.
+ * @property {string|null} bankReference The reference of the account servicing bank.
+ * @property {string|null} description
+ */
+
+/**
+ * A bank statement with exact amounts, parsed from CAMT.053 or MT940.
+ */
+class BankStatement {
+    /**
+     * @param {{id: string, account: string|null, currency: string, openingBalance: StatementBalance,
+     * closingBalance: StatementBalance, entries: StatementEntry[]}} statement
+     */
+    constructor(statement) {
+        this.id = statement.id;
+        this.account = statement.account;
+        this.currency = statement.currency;
+        this.openingBalance = statement.openingBalance;
+        this.closingBalance = statement.closingBalance;
+        this.entries = statement.entries;
+    }
+
+    /**
+     * Parses the statements of an ISO 20022 CAMT.053 bank to customer statement.
+     * @param {string} xml
+     * @param {{Money?: typeof Money, validate?: boolean}} [options] The Money class of the amounts
+     * and whether to validate the balances, true by default.
+     * @returns {BankStatement[]}
+     */
+    static parseCamt053(xml, options) {
+        const { Money: MoneyClass = Money, validate = true } = options || {};
+        const document = parseXml(xml);
+        const statementElements = findXmlElements(document, ['Document', 'BkToCstmrStmt', 'Stmt']);
+        if (statementElements.length === 0) {
+            throw new TypeError('Invalid CAMT.053 statement: no Stmt element found.');
+        }
+        return statementElements.map(element => {
+            const balances = findXmlElements(element, ['Bal']).map(balance => ({
+                code: getXmlText(balance, ['Tp', 'CdOrPrtry', 'Cd']),
+                balance: parseCamtBalance(balance, MoneyClass),
+            }));
+            const findBalance = codes => {
+                const found = balances.find(balance => codes.includes(balance.code));
+                if (found === undefined) {
+                    throw new TypeError(`Invalid CAMT.053 statement: no ${codes.join(' or ')} balance found.`);
+                }
+                return found.balance;
+            };
+            const statement = new this({
+                id: getXmlText(element, ['Id']),
+                account: getXmlText(element, ['Acct', 'Id', 'IBAN']) || getXmlText(element, ['Acct', 'Id', 'Othr', 'Id']),
+                currency: getXmlText(element, ['Acct', 'Ccy']) || findBalance(['OPBD', 'PRCD']).amount.currency,
+                openingBalance: findBalance(['OPBD', 'PRCD']),
+                closingBalance: findBalance(['CLBD']),
+                entries: findXmlElements(element, ['Ntry']).map(entry => parseCamtEntry(entry, MoneyClass)),
+            });
+            return validate ? statement.validate() : statement;
+        });
+    }
+
+    /**
+     * Parses the statements of a SWIFT MT940 customer statement message.
+     * Two-digit years are in the 21st century.
+     * @param {string} text
+     * @param {{Money?: typeof Money, validate?: boolean}} [options] The Money class of the amounts
+     * and whether to validate the balances, true by default.
+     * @returns {BankStatement[]}
+     */
+    static parseMt940(text, options) {
+        const { Money: MoneyClass = Money, validate = true } = options || {};
+        if (typeof text !== 'string') {
+            throw new TypeError(`Invalid MT940 statement: ${text}`);
+        }
+        const statements = splitMt940Fields(text).map(fields => {
+            const field = (...tags) => {
+                const found = fields.find(candidate => tags.includes(candidate.tag));
+                if (found === undefined) {
+                    throw new TypeError(`Invalid MT940 statement: no field ${tags.join(' or ')} found.`);
+                }
+                return found.value;
+            };
+            const openingBalance = parseMt940Balance(field('60F', '60M'), MoneyClass);
+            const entries = [];
+            fields.forEach((candidate, index) => {
+                if (candidate.tag === '61') {
+                    const next = fields[index + 1];
+                    const description = next !== undefined && next.tag === '86' ? next.value : null;
+                    entries.push(parseMt940Entry(candidate.value, description, openingBalance.amount.currency, MoneyClass));
+                }
+            });
+            const statement = new this({
+                id: field('20'),
+                account: field('25'),
+                currency: openingBalance.amount.currency,
+                openingBalance,
+                closingBalance: parseMt940Balance(field('62F', '62M'), MoneyClass),
+                entries,
+            });
+            return validate ? statement.validate() : statement;
+        });
+        if (statements.length === 0) {
+            throw new TypeError('Invalid MT940 statement: no field 20 found.');
+        }
+        return statements;
+    }
+
+    /**
+     * Verifies that the opening balance plus the booked entries equals the closing balance.
+     * @returns {this}
+     */
+    validate() {
+        const total = this.entries.filter(entry => entry.booked)
+            .reduce((sum, entry) => sum.add(entry.amount), this.openingBalance.amount);
+        if (!total.eq(this.closingBalance.amount)) {
+            throw new RangeError(`Statement ${this.id} does not balance: the opening balance ${this.openingBalance.amount} plus the entries is ${total} but the closing balance is ${this.closingBalance.amount}.`);
+        }
+        return this;
+    }
+}
+
+/**
+ * @typedef {object} XmlElement
+ * @property {string} name The local name without namespace prefix.
+ * @property {Object<string,string>} attributes
+ * @property {XmlElement[]} children
+ * @property {string} text
+ */
+
+/**
+ * Matches the tokens of an XML document: comments, processing instructions and doctypes,
+ * CDATA sections, end tags, start tags with their attributes and text.
+ */
+const xmlTokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+/**
+ * Parses the elements, attributes and text of an XML document. Namespaces are ignored.
+ * @param {string} xml
+ * @returns {XmlElement} The document node.
+ */
+function parseXml(xml) {
+    if (typeof xml !== 'string') {
+        throw new TypeError(`Invalid XML: ${xml}`);
+    }
+    const document = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [document];
+    const pattern = new RegExp(xmlTokenPattern.source, 'g');
+    let end = 0;
+    let match = null;
+    while ((match = pattern.exec(xml)) !== null) {
+        if (match.index !== end) {
+            break;
+        }
+        end = pattern.lastIndex;
+        const current = stack[stack.length - 1];
+        if (match[1] !== undefined) {
+            current.text += match[1];
+        } else if (match[2] !== undefined) {
+            if (stack.length === 1 || current.name !== getXmlLocalName(match[2])) {
+                throw new TypeError(`Invalid XML: unexpected end tag ${match[2]}.`);
+            }
+            stack.pop();
+        } else if (match[3] !== undefined) {
+            const element = { name: getXmlLocalName(match[3]), attributes: {}, children: [], text: '' };
+            const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attribute = null;
+            while ((attribute = attributePattern.exec(match[4])) !== null) {
+                const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+                element.attributes[getXmlLocalName(attribute[1])] = decodeXmlEntities(value);
+            }
+            current.children.push(element);
+            if (match[5] === '') {
+                stack.push(element);
+            }
+        } else if (match[6] !== undefined) {
+            current.text += decodeXmlEntities(match[6]);
+        }
+    }
+    if (end !== xml.length || stack.length !== 1) {
+        throw new TypeError('Invalid XML: the document is malformed or incomplete.');
+    }
+    return document;
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function getXmlLocalName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+    return text.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (entity, name) => {
+        if (name.startsWith('#x')) {
+            return String.fromCodePoint(Number.parseInt(name.slice(2), 16));
+        }
+        if (name.startsWith('#')) {
+            return String.fromCodePoint(Number.parseInt(name.slice(1), 10));
+        }
+        return entities[name];
+    });
+}
+
+/**
+ * Finds the elements at a path of local names below an element.
+ * @param {XmlElement} element
+ * @param {string[]} path
+ * @returns {XmlElement[]}
+ */
+function findXmlElements(element, path) {
+    return path.reduce((elements, name) => {
+        return elements.reduce((children, parent) => children.concat(parent.children.filter(child => child.name === name)), []);
+    }, [element]);
+}
+
+/**
+ * @param {XmlElement} element
+ * @param {string[]} path
+ * @returns {string|null} The trimmed text of the first element at the path.
+ */
+function getXmlText(element, path) {
+    const found = findXmlElements(element, path)[0];
+    return found !== undefined ? found.text.trim() : null;
+}
+
+/**
+ * @param {XmlElement} element An element with an Amt and a CdtDbtInd child.
+ * @param {typeof Money} MoneyClass
+ * @returns {{amount: Money, creditDebit: string}} The amount is negative for debits.
+ */
+function parseCamtAmount(element, MoneyClass) {
+    const amountElement = findXmlElements(element, ['Amt'])[0];
+    if (amountElement === undefined) {
+        throw new TypeError(`Invalid CAMT.053 statement: ${element.name} has no amount.`);
+    }
+    const indicator = getXmlText(element, ['CdtDbtInd']);
+    if (indicator !== 'CRDT' && indicator !== 'DBIT') {
+        throw new TypeError(`Invalid CAMT.053 statement: invalid credit debit indicator ${indicator}.`);
+    }
+    const amount = MoneyClass.fromIso20022Amount(amountElement.text.trim(), amountElement.attributes.Ccy);
+    return {
+        amount: indicator === 'DBIT' ? amount.mul(-1) : amount,
+        creditDebit: indicator === 'DBIT' ? CreditDebit.debit : CreditDebit.credit,
+    };
+}
+
+/**
+ * @param {XmlElement} element An element with a Dt or DtTm child.
+ * @param {string[]} path
+ * @returns {string|null}
+ */
+function getCamtDate(element, path) {
+    const date = getXmlText(element, path.concat('Dt')) || getXmlText(element, path.concat('DtTm'));
+    return date !== null ? date.slice(0, 10) : null;
+}
+
+/**
+ * @param {XmlElement} element
+ * @param {typeof Money} MoneyClass
+ * @returns {StatementBalance}
+ */
+function parseCamtBalance(element, MoneyClass) {
+    return {
+        amount: parseCamtAmount(element, MoneyClass).amount,
+        date: getCamtDate(element, ['Dt']),
+    };
+}
+
+/**
+ * @param {XmlElement} element
+ * @param {typeof Money} MoneyClass
+ * @returns {StatementEntry}
+ */
+function parseCamtEntry(element, MoneyClass) {
+    const { amount, creditDebit } = parseCamtAmount(element, MoneyClass);
+    // CdtDbtInd already holds the booked direction of a reversal.
+    const reversal = getXmlText(element, ['RvslInd']) === 'true';
+    // The status is a code up to version 7 and has a child element Cd since version 8.
+    const status = getXmlText(element, ['Sts', 'Cd']) || getXmlText(element, ['Sts']);
+    const descriptions = findXmlElements(element, ['NtryDtls', 'TxDtls', 'RmtInf', 'Ustrd']).map(ustrd => ustrd.text.trim());
+    const additionalInfo = getXmlText(element, ['AddtlNtryInf']);
+    if (descriptions.length === 0 && additionalInfo !== null) {
+        descriptions.push(additionalInfo);
+    }
+    return {
+        amount,
+        creditDebit,
+        reversal,
+        booked: status === 'BOOK',
+        bookingDate: getCamtDate(element, ['BookgDt']),
+        valueDate: getCamtDate(element, ['ValDt']),
+        reference: getXmlText(element, ['NtryDtls', 'TxDtls', 'Refs', 'EndToEndId']) || getXmlText(element, ['NtryRef']),
+        bankReference: getXmlText(element, ['AcctSvcrRef']),
+        description: descriptions.length > 0 ? descriptions.join(' ') : null,
+    };
+}
+
+/**
+ * Splits an MT940 message into the fields of each statement. Every statement starts with field 20.
+ * @param {string} text
+ * @returns {Array<Array<{tag: string, value: string}>>}
+ */
+function splitMt940Fields(text) {
+    // Remove the basic, application and user header blocks and the end of the text block.
+    const body = text.replace(/\r\n?/g, '\n')
+        .replace(/\{[1-35]:(?:[^{}]|\{[^{}]*\})*\}/g, '')
+        .replace(/\{4:/g, '\n')
+        .replace(/^-\}?[ \t]*$/gm, '');
+    const statements = [];
+    let field = null;
+    for (const line of body.split('\n')) {
+        const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+        if (match !== null) {
+            field = { tag: match[1], value: match[2] };
+            if (field.tag === '20') {
+                statements.push([]);
+            }
+            if (statements.length === 0) {
+                throw new TypeError(`Invalid MT940 statement: field ${field.tag} before field 20.`);
+            }
+            statements[statements.length - 1].push(field);
+        } else if (field !== null && line !== '') {
+            field.value += '\n' + line;
+        }
+    }
+    return statements;
+}
+
+/**
+ * @param {string} date YYMMDD
+ * @returns {string} YYYY-MM-DD
+ */
+function parseMt940Date(date) {
+    return `20${date.slice(0, 2)}-${date.slice(2, 4)}-${date.slice(4, 6)}`;
+}
+
+/**
+ * @param {string} value A balance like C230601EUR1000,00.
+ * @param {typeof Money} MoneyClass
+ * @returns {StatementBalance}
+ */
+function parseMt940Balance(value, MoneyClass) {
+    const match = value.match(/^([CD])(\d{6})([A-Z]{3})([0-9,]+)$/);
+    if (match === null) {
+        throw new TypeError(`Invalid MT940 balance: ${value}`);
+    }
+    const amount = MoneyClass.fromSwiftAmount(match[4], match[3]);
+    return {
+        amount: match[1] === 'D' ? amount.mul(-1) : amount,
+        date: parseMt940Date(match[2]),
+    };
+}
+
+/**
+ * Parses a statement line (field 61) and the information to the account owner (field 86).
+ * @param {string} value
+ * @param {string|null} description
+ * @param {string} currency
+ * @param {typeof Money} MoneyClass
+ * @returns {StatementEntry}
+ */
+function parseMt940Entry(value, description, currency, MoneyClass) {
+    const pattern = /^(\d{6})(\d{4})?(R?[CD])([A-Z])?([0-9]+,[0-9]*)([NFS][A-Z0-9]{3})(.*?)(?:\/\/(.*))?(?:\n[\s\S]*)?$/;
+    const match = value.match(pattern);
+    if (match === null) {
+        throw new TypeError(`Invalid MT940 statement line: ${value}`);
+    }
+    const [, valueDate, entryDate, mark, , amountText, , reference, bankReference] = match;
+    const reversal = mark.startsWith('R');
+    // A reversal of a credit is a debit and vice versa.
+    const credit = (mark.endsWith('C')) !== reversal;
+    const amount = MoneyClass.fromSwiftAmount(amountText, currency);
+    return {
+        amount: credit ? amount : amount.mul(-1),
+        creditDebit: credit ? CreditDebit.credit : CreditDebit.debit,
+        reversal,
+        booked: true,
+        bookingDate: entryDate !== undefined ? getMt940EntryDate(valueDate, entryDate) : null,
+        valueDate: parseMt940Date(valueDate),
+        reference: reference !== '' && reference !== 'NONREF' ? reference : null,
+        bankReference: bankReference !== undefined && bankReference !== '' ? bankReference : null,
+        description: description !== null ? description.replace(/\n/g, '') : null,
+    };
+}
+
+/**
+ * Gets the year of an entry date (MMDD) from the value date, which may be in the adjacent year.
+ * @param {string} valueDate YYMMDD
+ * @param {string} entryDate MMDD
+ * @returns {string} YYYY-MM-DD
+ */
+function getMt940EntryDate(valueDate, entryDate) {
+    let year = 2000 + Number.parseInt(valueDate.slice(0, 2), 10);
+    const months = Number.parseInt(entryDate.slice(0, 2), 10) - Number.parseInt(valueDate.slice(2, 4), 10);
+    if (months > 6) {
+        year -= 1;
+    } else if (months < -6) {
+        year += 1;
+    }
+    return `${year}-${entryDate.slice(0, 2)}-${entryDate.slice(2, 4)}`;
+}
+
+/**
+ * @typedef {object} LedgerAccount
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type An {@link AccountType}.
+ */
+
+/**
+ * @typedef {object} LedgerPosting
+ * @property {string} account The account id.
+ * @property {Money} amount A positive amount.
+ * @property {string} side A {@link CreditDebit}.
+ */
+
+/**
+ * @typedef {object} LedgerTransaction
+ * @property {string} id
+ * @property {string} date Formatted as YYYY-MM-DD.
+ * @property {string} description
+ * @property {LedgerPosting[]} postings
+ */
+
+/**
+ * Persists the accounts and transactions of a {@link Ledger}. Every method may return a promise.
+ * @typedef {object} LedgerStorage
+ * @property {(account: LedgerAccount) => boolean|Promise<boolean>} addAccount Adds the account unless
+ * its id is taken. Returns false if it is taken. The check and the insert must be atomic.
+ * @property {(id: string) => LedgerAccount|undefined|Promise<LedgerAccount|undefined>} getAccount
+ * @property {() => LedgerAccount[]|Promise<LedgerAccount[]>} getAccounts
+ * @property {(transaction: LedgerTransaction) => boolean|Promise<boolean>} addTransaction Adds the
+ * transaction unless its id is taken. Returns false if it is taken. The check and the insert must be atomic.
+ * @property {(query: {account?: string, asOf?: string}) => LedgerTransaction[]|Promise<LedgerTransaction[]>} getTransactions
+ * Gets the transactions in the order they were added. Only those with a posting to the account and a date
+ * on or before asOf if given.
+ */
+
+/**
+ * Keeps the accounts and transactions of a {@link Ledger} in memory.
+ */
+class MemoryLedgerStorage {
+    constructor() {
+        /**
+         * @type {Map<string,LedgerAccount>}
+         */
+        this.accounts = new Map();
+        /**
+         * @type {LedgerTransaction[]}
+         */
+        this.transactions = [];
+        /**
+         * @type {Set<string>}
+         */
+        this.transactionIds = new Set();
+    }
+
+    /**
+     * @param {LedgerAccount} account
+     * @returns {boolean} False if the id is taken.
+     */
+    addAccount(account) {
+        if (this.accounts.has(account.id)) {
+            return false;
+        }
+        this.accounts.set(account.id, account);
+        return true;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {LedgerAccount|undefined}
+     */
+    getAccount(id) {
+        return this.accounts.get(id);
+    }
+
+    /**
+     * @returns {LedgerAccount[]}
+     */
+    getAccounts() {
+        return Array.from(this.accounts.values());
+    }
+
+    /**
+     * @param {LedgerTransaction} transaction
+     * @returns {boolean} False if the id is taken.
+     */
+    addTransaction(transaction) {
+        if (this.transactionIds.has(transaction.id)) {
+            return false;
+        }
+        this.transactionIds.add(transaction.id);
+        this.transactions.push(transaction);
+        return true;
+    }
+
+    /**
+     * @param {{account?: string, asOf?: string}} [query]
+     * @returns {LedgerTransaction[]}
+     */
+    getTransactions(query) {
+        const { account, asOf } = query || {};
+        return this.transactions.filter(transaction => {
+            return (asOf === undefined || transaction.date <= asOf)
+                && (account === undefined || transaction.postings.some(posting => posting.account === account));
+        });
+    }
+}
+
+/**
+ * A double-entry ledger. Every transaction debits and credits the same amount in each currency.
+ * All methods return promises so that the storage can be asynchronous.
+ */
+class Ledger {
+    /**
+     * @param {{storage?: LedgerStorage}} [options] Keeps accounts and transactions in memory by default.
+     */
+    constructor(options) {
+        const { storage = new MemoryLedgerStorage() } = options || {};
+        /**
+         * @type {LedgerStorage}
+         */
+        this.storage = storage;
+        /**
+         * The number tried first for the id of the next transaction posted without an id.
+         * @type {number|undefined}
+         */
+        this.nextTransactionNumber = undefined;
+    }
+
+    /**
+     * @param {{id: string, name?: string, type: string}} account The name defaults to the id.
+     * The type is an {@link AccountType}.
+     * @returns {Promise<LedgerAccount>}
+     */
+    async openAccount(account) {
+        const { id, name = id, type } = account || {};
+        if (typeof id !== 'string' || id === '') {
+            throw new InvalidOptionError(`Invalid account id: ${id}`, { option: 'id', value: id });
+        }
+        if (!Object.prototype.hasOwnProperty.call(AccountType, type)) {
+            throw new InvalidOptionError(`Invalid value for option type: ${type}`, { option: 'type', value: type });
+        }
+        const opened = Object.freeze({ id, name, type });
+        if (!await this.storage.addAccount(opened)) {
+            throw new InvalidOptionError(`Account ${id} already exists.`, { option: 'id', value: id });
+        }
+        return opened;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<LedgerAccount>}
+     */
+    async getAccount(id) {
+        const account = await this.storage.getAccount(id);
+        if (account === undefined) {
+            throw new InvalidOptionError(`Unknown account: ${id}`, { option: 'account', value: id });
+        }
+        return account;
+    }
+
+    /**
+     * @returns {Promise<LedgerAccount[]>}
+     */
+    async getAccounts() {
+        return this.storage.getAccounts();
+    }
+
+    /**
+     * Records a transaction. Rejects if it does not balance in every currency or if its id is taken.
+     * @param {{id?: string, date: Date|string, description?: string, postings: LedgerPosting[]}} transaction
+     * The id defaults to the lowest number from the number of transactions on that is not taken.
+     * @returns {Promise<LedgerTransaction>}
+     */
+    async post(transaction) {
+        const { id, date, description = '', postings } = transaction || {};
+        if (!Array.isArray(postings) || postings.length < 2) {
+            throw new InvalidOptionError('Cannot post a transaction with less than two postings.', { option: 'postings', value: postings });
+        }
+        const normalizedPostings = [];
+        for (const posting of postings) {
+            if (posting === null || typeof posting !== 'object') {
+                throw new InvalidOptionError(`Invalid posting: ${posting}`, { option: 'postings', value: posting });
+            }
+            const account = await this.getAccount(posting.account);
+            if (!(posting.amount instanceof Money)) {
+                throw new InvalidAmountError(`Invalid posting amount: ${posting.amount}`, { amount: posting.amount });
+            }
+            if (!posting.amount.isPositive()) {
+                throw new InvalidAmountError(`Cannot post the amount ${posting.amount} because it is not positive.`, { amount: posting.amount });
+            }
+            if (!Object.prototype.hasOwnProperty.call(CreditDebit, posting.side)) {
+                throw new InvalidOptionError(`Invalid posting side: ${posting.side}`, { option: 'side', value: posting.side });
+            }
+            normalizedPostings.push(Object.freeze({ account: account.id, amount: posting.amount, side: posting.side }));
+        }
+        verifyBalancedPostings(normalizedPostings);
+        const normalizedDate = normalizeRateDate(date);
+        const createTransaction = transactionId => Object.freeze({
+            id: transactionId,
+            date: normalizedDate,
+            description,
+            postings: Object.freeze(normalizedPostings),
+        });
+        if (id !== undefined) {
+            const posted = createTransaction(String(id));
+            if (!await this.storage.addTransaction(posted)) {
+                throw new InvalidOptionError(`Transaction ${posted.id} already exists.`, { option: 'id', value: id });
+            }
+            return posted;
+        }
+        if (this.nextTransactionNumber === undefined) {
+            const count = (await this.storage.getTransactions({})).length;
+            if (this.nextTransactionNumber === undefined) {
+                this.nextTransactionNumber = count + 1;
+            }
+        }
+        // The storage refuses taken ids, so concurrent posts and explicit ids never collide.
+        let posted = null;
+        do {
+            posted = createTransaction(String(this.nextTransactionNumber++));
+        } while (!await this.storage.addTransaction(posted));
+        return posted;
+    }
+
+    /**
+     * Gets the transactions of an account or of all accounts.
+     * @param {{account?: string, asOf?: Date|string}} [query] Only transactions dated on or before asOf.
+     * @returns {Promise<LedgerTransaction[]>}
+     */
+    async transactions(query) {
+        return this.storage.getTransactions(normalizeLedgerQuery(query));
+    }
+
+    /**
+     * Gets the balance of an account in each currency. Debits increase assets and
+     * expenses, credits increase liabilities, equity and income.
+     * @param {string} account
+     * @param {{asOf?: Date|string}} [options] The balance at the end of the date.
+     * @returns {Promise<MoneyBag>}
+     */
+    async balance(account, options) {
+        const { type } = await this.getAccount(account);
+        const { asOf } = normalizeLedgerQuery(options);
+        const net = getNetDebits(await this.storage.getTransactions({ account, asOf })).get(account) || new MoneyBag();
+        return isDebitNormal(type) ? net : net.neg();
+    }
+
+    /**
+     * Lists the balance of every account as a debit or a credit in each currency.
+     * The debit and credit totals are equal.
+     * @param {{asOf?: Date|string}} [options] The balances at the end of the date.
+     * @returns {Promise<{accounts: Array<{account: LedgerAccount, debit: MoneyBag, credit: MoneyBag}>, debit: MoneyBag, credit: MoneyBag}>}
+     */
+    async trialBalance(options) {
+        const { asOf } = normalizeLedgerQuery(options);
+        const netDebits = getNetDebits(await this.storage.getTransactions({ asOf }));
+        let totalDebit = new MoneyBag();
+        let totalCredit = new MoneyBag();
+        const accounts = (await this.storage.getAccounts()).map(account => {
+            const net = netDebits.get(account.id) || new MoneyBag();
+            const debit = new MoneyBag(net.toArray().filter(money => money.isPositive()));
+            const credit = new MoneyBag(net.toArray().filter(money => money.isNegative()).map(money => money.abs()));
+            totalDebit = totalDebit.add(debit);
+            totalCredit = totalCredit.add(credit);
+            return { account, debit, credit };
+        });
+        return { accounts, debit: totalDebit, credit: totalCredit };
+    }
+}
+
+/**
+ * Verifies that the debits equal the credits in each currency.
+ * @param {LedgerPosting[]} postings
+ */
+function verifyBalancedPostings(postings) {
+    /**
+     * @type {Map<string,Object<string,Money>>}
+     */
+    const totals = new Map();
+    for (const posting of postings) {
+        const total = totals.get(posting.amount.currency) || {};
+        total[posting.side] = total[posting.side] !== undefined ? total[posting.side].add(posting.amount) : posting.amount;
+        totals.set(posting.amount.currency, total);
+    }
+    for (const [currency, total] of totals) {
+        const { debit, credit } = total;
+        if (debit !== undefined && credit !== undefined) {
+            if (!debit.eq(credit)) {
+                const message = `Cannot post a transaction that does not balance: the debits are ${debit} and the credits are ${credit}.`;
+                throw new InvalidAmountError(message, { amount: [debit, credit] });
+            }
+            continue;
         }
-        return entry;
+        // Money of one side can only be balanced by money of the same currency on the other side.
+        const side = debit !== undefined ? CreditDebit.debit : CreditDebit.credit;
+        const counter = postings.find(posting => posting.side !== side);
+        if (counter === undefined) {
+            throw new InvalidOptionError(`Cannot post a transaction with only ${side} postings.`, { option: 'postings', value: postings });
+        }
+        verifyCompatibleCurrency('post', currency, counter.amount.currency, [total[side], counter.amount]);
+    }
+}
+
+/**
+ * @param {{account?: string, asOf?: Date|string}} [query]
+ * @returns {{account?: string, asOf?: string}}
+ */
+function normalizeLedgerQuery(query) {
+    const { account, asOf } = query || {};
+    return {
+        account,
+        asOf: asOf !== undefined ? normalizeRateDate(asOf) : undefined,
+    };
+}
+
+/**
+ * Sums up the debits minus the credits of each account.
+ * @param {LedgerTransaction[]} transactions
+ * @returns {Map<string,MoneyBag>}
+ */
+function getNetDebits(transactions) {
+    /**
+     * @type {Map<string,Money[]>}
+     */
+    const amounts = new Map();
+    for (const transaction of transactions) {
+        for (const posting of transaction.postings) {
+            if (!amounts.has(posting.account)) {
+                amounts.set(posting.account, []);
+            }
+            amounts.get(posting.account).push(posting.side === CreditDebit.debit ? posting.amount : posting.amount.mul(-1));
+        }
+    }
+    // The bag sums up the amounts of each currency at once.
+    const netDebits = new Map();
+    for (const [account, accountAmounts] of amounts) {
+        netDebits.set(account, new MoneyBag(accountAmounts));
+    }
+    return netDebits;
+}
+
+/**
+ * @param {string} type An {@link AccountType}.
+ * @returns {boolean} True if debits increase the balance of the account type.
+ */
+function isDebitNormal(type) {
+    return type === AccountType.asset || type === AccountType.expense;
+}
+
+/**
+ * @typedef {object} CurrencyDefinition
+ * @property {string} code The normalized currency code.
+ * @property {number} fractionDigits
+ * @property {string|undefined} symbol
+ * @property {string|undefined} name
+ * @property {string|null} intlCurrency The code if Intl.NumberFormat can format it, otherwise null.
+ * @property {string|null} cashIncrement The cash rounding increment or null if it is the minor unit.
+ * @property {boolean} custom True if the currency was registered.
+ * @property {boolean} iso True if the fraction digits are taken from the built-in ISO 4217 table.
+ */
+
+/**
+ * Holds registered currencies and falls back to the registry of the parent class.
+ */
+class CurrencyRegistry {
+    /**
+     * @param {CurrencyRegistry|null} parent
+     * @param {Map<string,NumberFormatEntry>} [numberFormats] Defaults to the cache of the parent or the global cache.
+     */
+    constructor(parent, numberFormats) {
+        this.parent = parent;
+        /**
+         * @type {Map<string,CurrencyDefinition>}
+         */
+        this.definitions = new Map();
+        /**
+         * Caches {@link NumberFormatEntry}s of currencies that are not registered.
+         * @type {Map<string,NumberFormatEntry>}
+         */
+        this.numberFormats = numberFormats !== undefined ? numberFormats
+            : (parent !== null ? parent.numberFormats : currencyNumberFormats);
+        /**
+         * True if unregistered currencies are resolved from the built-in ISO 4217 table instead of Intl.NumberFormat.
+         * @type {boolean}
+         */
+        this.strict = parent !== null ? parent.strict : false;
+    }
+
+    /**
+     * Creates a registry without a parent that contains all currencies known to this registry.
+     * @param {Map<string,NumberFormatEntry>} numberFormats
+     * @param {boolean} strict
+     * @returns {CurrencyRegistry}
+     */
+    copy(numberFormats, strict) {
+        const registry = new CurrencyRegistry(null, numberFormats);
+        registry.strict = strict;
+        for (let current = this; current !== null; current = current.parent) {
+            for (const [code, definition] of current.definitions) {
+                if (!registry.definitions.has(code)) {
+                    registry.definitions.set(code, definition);
+                }
+            }
+        }
+        return registry;
+    }
+
+    /**
+     * @param {{code: string, fractionDigits: number, symbol?: string, name?: string, cashIncrement?: string}} definition
+     */
+    register(definition) {
+        const { code, fractionDigits, symbol, name, cashIncrement } = definition || {};
+        if (typeof code !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(code)) {
+            throw new InvalidCurrencyError(`Invalid currency code: ${code}`, { currency: code });
+        }
+        if (!Number.isInteger(fractionDigits) || fractionDigits < 0 || fractionDigits > 20) {
+            throw new InvalidOptionError(`Invalid fraction digits: ${fractionDigits}`, { option: 'fractionDigits', value: fractionDigits });
+        }
+        if (symbol !== undefined && (typeof symbol !== 'string' || symbol === '')) {
+            throw new InvalidOptionError(`Invalid currency symbol: ${symbol}`, { option: 'symbol', value: symbol });
+        }
+        if (name !== undefined && (typeof name !== 'string' || name === '')) {
+            throw new InvalidOptionError(`Invalid currency name: ${name}`, { option: 'name', value: name });
+        }
+        const normalizedCode = code.toUpperCase();
+        let normalizedCashIncrement = getDefaultCashIncrement(normalizedCode);
+        if (cashIncrement !== undefined) {
+            let bigCashIncrement = null;
+            try {
+                bigCashIncrement = new Big(cashIncrement);
+            } catch (e) {
+                throw new InvalidAmountError(`Invalid cash increment: ${cashIncrement}`, { amount: cashIncrement });
+            }
+            if (bigCashIncrement.lte(0) || !isBigZero(bigCashIncrement.mod(`1e-${fractionDigits}`))) {
+                throw new InvalidAmountError(`Invalid cash increment: ${cashIncrement}`, { amount: cashIncrement });
+            }
+            normalizedCashIncrement = bigCashIncrement.toFixed();
+        }
+        this.definitions.set(normalizedCode, Object.freeze({
+            code: normalizedCode,
+            fractionDigits,
+            symbol,
+            name,
+            // Intl.NumberFormat accepts any well-formed code.
+            intlCurrency: /^[A-Z]{3}$/.test(normalizedCode) ? normalizedCode : null,
+            cashIncrement: normalizedCashIncrement,
+            custom: true,
+            iso: false,
+        }));
+    }
+
+    /**
+     * @param {string} code
+     * @returns {CurrencyDefinition|undefined}
+     */
+    find(code) {
+        const definition = this.definitions.get(code.toUpperCase());
+        if (definition !== undefined || this.parent === null) {
+            return definition;
+        }
+        return this.parent.find(code);
+    }
+}
+
+/**
+ * Resolves a currency code. Registered currencies take precedence over the
+ * currencies known to Intl.NumberFormat, or in strict mode the current
+ * currencies of ISO 4217.
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ * @returns {CurrencyDefinition}
+ */
+function resolveCurrency(currency, registry) {
+    if (typeof currency === 'string') {
+        const definition = registry.find(currency);
+        if (definition !== undefined) {
+            return definition;
+        }
+    }
+    if (registry.strict) {
+        return getIsoCurrencyDefinition(currency);
+    }
+    return NumberFormatEntry.get(currency, registry.numberFormats).definition;
+}
+
+/**
+ * @param {string} currency
+ * @returns {CurrencyDefinition}
+ */
+function getIsoCurrencyDefinition(currency) {
+    const info = typeof currency === 'string' ? currencyInfos.get(currency.toUpperCase()) : undefined;
+    if (info === undefined) {
+        throw new InvalidCurrencyError(`Unknown currency code: ${currency}`, { currency });
+    }
+    if (info.withdrawn !== null) {
+        throw new InvalidCurrencyError(`Currency ${info.code} was withdrawn in ${info.withdrawn}.`, { currency });
+    }
+    let definition = isoCurrencyDefinitions.get(info.code);
+    if (definition === undefined) {
+        definition = Object.freeze({
+            code: info.code,
+            // Like CLDR, use two fraction digits if minor units are not applicable.
+            fractionDigits: info.minorUnits !== null ? info.minorUnits : 2,
+            symbol: undefined,
+            name: undefined,
+            intlCurrency: info.code,
+            cashIncrement: getDefaultCashIncrement(info.code),
+            custom: false,
+            iso: true,
+        });
+        isoCurrencyDefinitions.set(info.code, definition);
+    }
+    return definition;
+}
+
+/**
+ * Validates and normalizes a currency code, e.g. 'eur' => 'EUR'.
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ * @returns {string}
+ */
+function normalizeCurrency(currency, registry) {
+    return resolveCurrency(currency, registry).code;
+}
+
+/**
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ * @returns {number}
+ */
+function getCurrencyFractionDigits(currency, registry) {
+    return resolveCurrency(currency, registry).fractionDigits;
+}
+
+/**
+ * @param {string} code
+ * @returns {string|null}
+ */
+function getDefaultCashIncrement(code) {
+    return Object.prototype.hasOwnProperty.call(cashIncrements, code) ? cashIncrements[code] : null;
+}
+
+/**
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ * @returns {string} The cash increment or the minor unit.
+ */
+function getCashIncrement(currency, registry) {
+    const definition = resolveCurrency(currency, registry);
+    return definition.cashIncrement !== null ? definition.cashIncrement : `1e-${definition.fractionDigits}`;
+}
+
+/**
+ * Maps the format options of a currency to options for Intl.NumberFormat.
+ * Registered currencies bring their own fraction digits.
+ * @param {Intl.NumberFormatOptions} options
+ * @param {CurrencyDefinition} definition
+ * @returns {Intl.NumberFormatOptions}
+ */
+function toIntlFormatOptions(options, definition) {
+    const intlOptions = Object.assign({}, options);
+    if (definition.custom && intlOptions.currency !== undefined) {
+        intlOptions.currency = getIntlCurrency(definition, options.currencyDisplay);
+    }
+    if (options.style !== 'currency' || !isStandardNotation(options) || options.minimumFractionDigits !== undefined) {
+        return intlOptions;
+    }
+    if (options.maximumFractionDigits !== undefined) {
+        // Older runtimes throw instead of lowering the minimum of the currency to the maximum.
+        intlOptions.minimumFractionDigits = Math.min(definition.fractionDigits, options.maximumFractionDigits);
+    } else if (definition.custom || definition.iso) {
+        intlOptions.minimumFractionDigits = definition.fractionDigits;
+        intlOptions.maximumFractionDigits = definition.fractionDigits;
+    }
+    return intlOptions;
+}
+
+/**
+ * Gets the currency code that Intl.NumberFormat formats in place of a registered
+ * currency. The currency part is replaced afterwards.
+ * @param {CurrencyDefinition} definition
+ * @param {string} [currencyDisplay]
+ * @returns {string}
+ */
+function getIntlCurrency(definition, currencyDisplay) {
+    const isSymbolDisplay = currencyDisplay === undefined || currencyDisplay === 'symbol' || currencyDisplay === 'narrowSymbol';
+    if (definition.custom && isSymbolDisplay && definition.symbol !== undefined) {
+        return 'XXX'; // No currency, formatted like a symbol.
+    }
+    return definition.intlCurrency !== null ? definition.intlCurrency : 'XTS'; // Testing code, formatted like a code.
+}
+
+/**
+ * Replaces the currency parts of formatted registered currencies with their symbol, name or code.
+ * @param {Intl.NumberFormatPart[]} parts
+ * @param {CurrencyDefinition} definition
+ * @param {Intl.NumberFormatOptions} options
+ * @returns {Intl.NumberFormatPart[]}
+ */
+function replaceCurrencyParts(parts, definition, options) {
+    if (!definition.custom) {
+        return parts;
+    }
+    const display = options.currencyDisplay !== undefined ? options.currencyDisplay : 'symbol';
+    let replacement = undefined;
+    if (display === 'name') {
+        replacement = definition.name;
+    } else if (display !== 'code') {
+        replacement = definition.symbol;
+    }
+    return parts.map(part => {
+        if (part.type !== 'currency') {
+            return part;
+        }
+        // Intl.NumberFormat formats the currency itself unless it was replaced by a placeholder.
+        const fallback = options.currency === definition.code ? part.value : definition.code;
+        return { type: 'currency', value: replacement !== undefined ? replacement : fallback };
+    });
+}
+
+/**
+ * Allocates a non-negative integer number of minor units proportional to the ratios.
+ * @param {Big} minorUnits
+ * @param {Big[]} ratios
+ * @param {string} mode
+ * @param {number} [seed]
+ * @returns {Big[]}
+ */
+function allocateMinorUnits(minorUnits, ratios, mode, seed) {
+    const total = ratios.reduce((sum, ratio) => sum.plus(ratio), new minorUnits.constructor(0));
+    if (isBigZero(total)) {
+        throw new InvalidAmountError('Cannot allocate money when all ratios are zero.', { amount: ratios });
+    }
+
+    // Every share is rounded down. The remainders all have the denominator
+    // 'total' so they can be compared exactly.
+    let leftover = minorUnits;
+    const shares = ratios.map((ratio, index) => {
+        const numerator = minorUnits.times(ratio);
+        const remainder = numerator.mod(total);
+        const units = numerator.minus(remainder).div(total);
+        leftover = leftover.minus(units);
+        return { index, units, remainder, ratio };
+    });
+
+    // The leftover is less than the number of shares with a non-zero ratio.
+    const candidates = shares.filter(share => !isBigZero(share.ratio));
+    if (mode === AllocationMode.largestRemainder) {
+        candidates.sort((a, b) => b.remainder.cmp(a.remainder) || a.index - b.index);
+    } else if (mode === AllocationMode.random) {
+        shuffle(candidates, createRandom(seed !== undefined ? seed : Math.floor(Math.random() * 0x100000000)));
+    }
+    const leftoverCount = Number(leftover.toFixed());
+    for (let i = 0; i < leftoverCount; i++) {
+        candidates[i].units = candidates[i].units.plus(1);
+    }
+
+    return shares.map(share => share.units);
+}
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {any[]} array
+ * @param {() => number} random
+ */
+function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+/**
+ * Checks if the value has exactly the shape of a money JSON object.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isMoneyJSON(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || typeof value.currency !== 'string') {
+        return false;
+    }
+    const keys = Object.keys(value).filter(key => key !== 'scale').sort().join(',');
+    return keys === 'amount,currency' || keys === 'currency,minorUnits';
+}
+
+/**
+ * @param {string} currency A normalized currency code.
+ * @param {string|{fractionDigits: Object<string,number>}} [profile]
+ * @param {CurrencyRegistry} registry
+ * @returns {number}
+ */
+function getMinorUnitFractionDigits(currency, profile, registry) {
+    if (profile === undefined) {
+        profile = MinorUnitProfile.iso;
+    } else if (typeof profile === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(MinorUnitProfile, profile)) {
+            throw new InvalidOptionError(`Unknown minor unit profile: ${profile}`, { option: 'profile', value: profile });
+        }
+        profile = MinorUnitProfile[profile];
+    } else if (profile === null || typeof profile !== 'object' || typeof profile.fractionDigits !== 'object') {
+        throw new InvalidOptionError(`Invalid minor unit profile: ${profile}`, { option: 'profile', value: profile });
+    }
+    if (Object.prototype.hasOwnProperty.call(profile.fractionDigits, currency)) {
+        return profile.fractionDigits[currency];
+    }
+    return getCurrencyFractionDigits(currency, registry);
+}
+
+/**
+ * Throws if the amount has more fraction digits than the currency allows.
+ * @param {Big} amount
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ */
+function verifyCurrencyFraction(amount, currency, registry) {
+    const fractionDigits = getCurrencyFractionDigits(currency, registry);
+    if (!amount.eq(amount.round(fractionDigits, RoundingMode.down))) {
+        throw new InvalidAmountError(`Amount ${amount.toFixed()} has more fraction digits than ${currency} allows.`, { amount });
+    }
+}
+
+/**
+ * The maximum number of characters of a SWIFT MT amount including the decimal comma.
+ */
+const swiftAmountLength = 15;
+
+/**
+ * Matches an ISO 20022 amount element and captures its name, quote, currency and amount.
+ */
+const iso20022ElementPattern = /^\s*<((?:[A-Za-z_][\w.-]*:)?[A-Za-z_][\w.-]*)\s+Ccy\s*=\s*(["'])([^"']*)\2\s*>\s*([^<]*?)\s*<\/\1\s*>\s*$/;
+
+/**
+ * @param {{totalDigits?: number, fractionDigits?: number}} [options]
+ * @returns {{totalDigits: number, fractionDigits: number}}
+ */
+function normalizeIso20022Options(options) {
+    const { totalDigits = 18, fractionDigits = 5 } = options || {};
+    if (!Number.isInteger(totalDigits) || totalDigits < 1) {
+        throw new InvalidOptionError(`Invalid value for option totalDigits: ${totalDigits}`, { option: 'totalDigits', value: totalDigits });
+    }
+    if (!Number.isInteger(fractionDigits) || fractionDigits < 0 || fractionDigits > totalDigits) {
+        throw new InvalidOptionError(`Invalid value for option fractionDigits: ${fractionDigits}`, { option: 'fractionDigits', value: fractionDigits });
+    }
+    return { totalDigits, fractionDigits };
+}
+
+/**
+ * Tells if a Big has at most the given number of significant total and fraction digits.
+ * @param {Big} big
+ * @param {number} totalDigits
+ * @param {number} fractionDigits
+ * @returns {boolean}
+ */
+function fitsDigits(big, totalDigits, fractionDigits) {
+    const [integer, fraction = ''] = big.abs().toFixed().split('.');
+    return fraction.length <= fractionDigits && integer.replace(/^0+/, '').length + fraction.length <= totalDigits;
+}
+
+/**
+ * Gets the digits of money for a banking format, padded to the fraction digits of the currency.
+ * Banking formats have an ISO 4217 code and no sign.
+ * @param {Money} money
+ * @param {string} format
+ * @returns {{integer: string, fraction: string}}
+ */
+function getBankingDigits(money, format) {
+    const amount = getAmount(money);
+    if (!/^[A-Z]{3}$/.test(money.currency)) {
+        throw new InvalidCurrencyError(`Cannot encode the currency ${money.currency} in ${format}.`, { currency: money.currency });
+    }
+    if (amount.lt(0)) {
+        throw new InvalidAmountError(`Cannot encode the negative amount ${money.toDecimalString()} ${money.currency} in ${format}.`, { amount: money.amount });
+    }
+    const fractionDigits = getCurrencyFractionDigits(money.currency, money.constructor.currencyRegistry);
+    if (!amount.eq(amount.round(fractionDigits, RoundingMode.down))) {
+        throw new InvalidAmountError(`Cannot encode the amount ${money.toDecimalString()} ${money.currency} in ${format} with ${fractionDigits} fraction digits.`, { amount: money.amount });
+    }
+    const [integer, fraction = ''] = amount.toFixed(fractionDigits).split('.');
+    return { integer, fraction };
+}
+
+/**
+ * Rounds a Big to dp decimal places using any {@link RoundingMode}.
+ * @param {Big} big
+ * @param {number} dp May be negative to round to tens, hundreds, etc.
+ * @param {number} roundingMode
+ * @returns {Big}
+ */
+function roundBig(big, dp, roundingMode) {
+    if (roundingMode === RoundingMode.down || roundingMode === RoundingMode.up
+        || roundingMode === RoundingMode.halfUp || roundingMode === RoundingMode.halfEven) {
+        return big.round(dp, roundingMode);
+    }
+    return roundBigToIncrement(big, new big.constructor(`1e${-dp}`), roundingMode);
+}
+
+/**
+ * Rounds a Big to a multiple of the increment using any {@link RoundingMode}.
+ * @param {Big} big
+ * @param {Big} increment Must be positive.
+ * @param {number} roundingMode
+ * @returns {Big}
+ */
+function roundBigToIncrement(big, increment, roundingMode) {
+    if (!Object.values(RoundingMode).includes(roundingMode)) {
+        throw new InvalidOptionError(`Invalid rounding mode: ${roundingMode}`, { option: 'roundingMode', value: roundingMode });
+    }
+    // The remainder has the sign of big, so the truncated amount is rounded toward zero.
+    const remainder = big.mod(increment);
+    const truncated = big.minus(remainder);
+    if (isBigZero(remainder)) {
+        return truncated;
+    }
+    const positive = big.s > 0;
+    const away = positive ? truncated.plus(increment) : truncated.minus(increment);
+
+    let isAway = false;
+    if (roundingMode === RoundingMode.down) {
+        isAway = false;
+    } else if (roundingMode === RoundingMode.up) {
+        isAway = true;
+    } else if (roundingMode === RoundingMode.ceiling) {
+        isAway = positive;
+    } else if (roundingMode === RoundingMode.floor) {
+        isAway = !positive;
+    } else {
+        const cmpHalf = remainder.abs().times(2).cmp(increment);
+        if (cmpHalf !== 0) {
+            isAway = cmpHalf > 0;
+        } else if (roundingMode === RoundingMode.halfUp) {
+            isAway = true;
+        } else if (roundingMode === RoundingMode.halfDown) {
+            isAway = false;
+        } else if (roundingMode === RoundingMode.halfCeiling) {
+            isAway = positive;
+        } else if (roundingMode === RoundingMode.halfFloor) {
+            isAway = !positive;
+        } else {
+            const isTruncatedEven = truncated.div(increment).mod(2).eq(0);
+            isAway = roundingMode === RoundingMode.halfEven ? !isTruncatedEven : isTruncatedEven;
+        }
+    }
+    return isAway ? away : truncated;
+}
+
+/**
+ * Creates an independent Big constructor with the same settings.
+ * @param {typeof Big} BigClass
+ * @returns {typeof Big}
+ */
+function copyBig(BigClass) {
+    const copy = BigClass();
+    ['DP', 'RM', 'NE', 'PE', 'strict'].forEach(setting => {
+        copy[setting] = BigClass[setting];
+    });
+    return copy;
+}
+
+/**
+ * Raises a Big to a non-negative integer power, rounding intermediate results to dp decimal places.
+ * @param {Big} big
+ * @param {number} n
+ * @param {number} dp
+ * @returns {Big}
+ */
+function powBig(big, n, dp) {
+    let result = new big.constructor(1);
+    let base = big;
+    while (n > 0) {
+        if (n % 2 === 1) {
+            result = result.times(base).round(dp);
+        }
+        base = base.times(base).round(dp);
+        n = Math.floor(n / 2);
+    }
+    return result;
+}
+
+/**
+ * Raises a positive Big to a real power, rounding intermediate results to Big.DP decimal places.
+ * @param {Big} big
+ * @param {Big} exponent
+ * @returns {Big}
+ */
+function powRealBig(big, exponent) {
+    if (exponent.eq(exponent.round(0, RoundingMode.down)) && exponent.abs().lte(Number.MAX_SAFE_INTEGER)) {
+        const power = powBig(big, Number(exponent.abs()), big.constructor.DP);
+        return exponent.lt(0) ? new big.constructor(1).div(power) : power;
+    }
+    return expBig(lnBig(big).times(exponent));
+}
+
+/**
+ * The exponential function, rounded to Big.DP decimal places.
+ * @param {Big} x
+ * @returns {Big}
+ */
+function expBig(x) {
+    const Big = x.constructor;
+    // Reduce the argument by halving and square the result afterwards.
+    let halvings = 0;
+    while (x.abs().gt('0.1')) {
+        x = x.div(2);
+        halvings++;
+    }
+    let term = new Big(1);
+    let sum = new Big(1);
+    for (let n = 1; !isBigZero(term); n++) {
+        term = term.times(x).div(n);
+        sum = sum.plus(term);
+    }
+    for (; halvings > 0; halvings--) {
+        sum = sum.times(sum).round(Big.DP);
+    }
+    return sum;
+}
+
+/**
+ * The natural logarithm of a positive Big, rounded to Big.DP decimal places.
+ * @param {Big} x
+ * @returns {Big}
+ */
+function lnBig(x) {
+    const Big = x.constructor;
+    if (x.lte(0)) {
+        throw new RangeError(`Cannot compute the logarithm of ${x}.`);
+    }
+    // Reduce the argument by taking square roots and multiply the result afterwards.
+    let roots = 0;
+    while (x.minus(1).abs().gt('0.1')) {
+        x = x.sqrt();
+        roots++;
+    }
+    // ln(x) = 2 * atanh((x - 1) / (x + 1))
+    const y = x.minus(1).div(x.plus(1));
+    const ySquared = y.times(y).round(Big.DP);
+    let power = y;
+    let sum = y;
+    for (let n = 3; ; n += 2) {
+        power = power.times(ySquared).round(Big.DP);
+        const term = power.div(n);
+        if (isBigZero(term)) {
+            break;
+        }
+        sum = sum.plus(term);
+    }
+    return sum.times(2 ** (roots + 1));
+}
+
+/**
+ * @param {MoneyBag} bag
+ * @returns {typeof Money} The class of the contained money or the configured class of an empty bag.
+ */
+function getBagMoneyClass(bag) {
+    const first = bagMoneys.get(bag).values().next();
+    return first.done ? bag.constructor.Money : first.value.constructor;
+}
+
+/**
+ * @param {number|bigint} minorUnits A safe integer or a BigInt.
+ * @returns {string} The integer digits.
+ */
+function getMinorUnitDigits(minorUnits) {
+    if (typeof minorUnits === 'bigint') {
+        return minorUnits.toString();
     }
+    if (Number.isSafeInteger(minorUnits)) {
+        return String(minorUnits);
+    }
+    throw new InvalidAmountError(`Invalid minor units: ${minorUnits}`, { amount: minorUnits });
 }
 
-function getCurrencyFractionDigits(currency) {
-    const entry = NumberFormatEntry.get(currency);
-    return entry.options.minimumFractionDigits;
+/**
+ * @param {Money} money
+ * @returns {Big} The amount without copying it. It must not be mutated.
+ */
+function getAmount(money) {
+    return moneyAmounts.get(money);
 }
 
 function isBigZero(big) {
     return big.c.length === 1 && big.c[0] === 0;
 }
 
-function verifyCompatibleCurrency(op, currency1, currency2) {
+/**
+ * @param {string} op
+ * @param {Money[]} list
+ */
+function verifyNonEmptyList(op, list) {
+    if (list.length === 0) {
+        throw new InvalidAmountError(`Cannot apply operation ${op} to an empty list.`, { amount: list });
+    }
+}
+
+/**
+ * Verifies that all money in the list has the same currency.
+ * @param {string} op
+ * @param {Money[]} list
+ * @param {string} [currency] The expected currency. Defaults to the currency of the first money.
+ * @returns {string} The currency of the list.
+ */
+function verifyListCurrency(op, list, currency) {
+    if (currency === undefined) {
+        currency = list[0].currency;
+    }
+    for (const money of list) {
+        verifyCompatibleCurrency(op, currency, money.currency, [money]);
+    }
+    return currency;
+}
+
+/**
+ * Verifies that all money in the list has the same scale.
+ * @param {string} op
+ * @param {Money[]} list
+ * @returns {number|undefined} The scale of the list or undefined if it is empty.
+ */
+function verifyListScale(op, list) {
+    if (list.length === 0) {
+        return undefined;
+    }
+    const scale = list[0].scale;
+    for (const money of list) {
+        verifyCompatibleScale(op, scale, money.scale, [list[0], money]);
+    }
+    return scale;
+}
+
+/**
+ * @param {string} op
+ * @param {Money} dividend
+ * @param {Big} bigDivisor
+ * @param {*} divisor The divisor as passed to the operation.
+ */
+function verifyNonZeroDivisor(op, dividend, bigDivisor, divisor) {
+    if (isBigZero(bigDivisor)) {
+        throw new DivisionByZeroError(`Division by zero in operation ${op} on ${dividend}.`, {
+            operation: op,
+            dividend,
+            divisor,
+        });
+    }
+}
+
+/**
+ * @param {string} op
+ * @param {number} scale1
+ * @param {number} scale2
+ * @param {Money[]} [operands]
+ */
+function verifyCompatibleScale(op, scale1, scale2, operands) {
+    if (scale1 !== scale2) {
+        throw new ScaleMismatchError(`Cannot apply operation ${op} to scales ${scale1} and ${scale2}.`, {
+            operation: op,
+            scales: [scale1, scale2],
+            operands,
+        });
+    }
+}
+
+/**
+ * @param {number|undefined} scale
+ * @param {string} currency
+ * @param {CurrencyRegistry} registry
+ * @returns {number} The scale or the fraction digits of the currency if it is undefined.
+ */
+function normalizeScale(scale, currency, registry) {
+    const fractionDigits = getCurrencyFractionDigits(currency, registry);
+    if (scale === undefined) {
+        return fractionDigits;
+    }
+    if (!Number.isSafeInteger(scale) || scale < fractionDigits) {
+        throw new InvalidOptionError(`Invalid scale for ${currency}: ${scale}`, { option: 'scale', value: scale });
+    }
+    return scale;
+}
+
+/**
+ * @param {string} op
+ * @param {string} currency1
+ * @param {string} currency2
+ * @param {Money[]} [operands]
+ */
+function verifyCompatibleCurrency(op, currency1, currency2, operands) {
     if (currency1 !== currency2) {
-        throw new Error(`Cannot apply operation ${op} to currencies ${currency1} and ${currency2}.`);
+        throw new CurrencyMismatchError(`Cannot apply operation ${op} to currencies ${currency1} and ${currency2}.`, {
+            operation: op,
+            currencies: [currency1, currency2],
+            operands,
+        });
     }
 }
 
@@ -312,4 +5124,30 @@ module.exports = {
     Money,
     RoundingMode,
     PrecisionHandling,
+    AllocationMode,
+    JsonFormat,
+    MinorUnitProfile,
+    ExchangeRates,
+    MoneyBag,
+    CurrencyRounding,
+    TaxCalculator,
+    TaxRounding,
+    Loan,
+    AmortizationType,
+    PaymentFrequency,
+    Finance,
+    MoneyError,
+    CurrencyMismatchError,
+    InvalidAmountError,
+    InvalidCurrencyError,
+    UnsafeNumberError,
+    DivisionByZeroError,
+    ScaleMismatchError,
+    InvalidOptionError,
+    WordsStyle,
+    BankStatement,
+    CreditDebit,
+    Ledger,
+    MemoryLedgerStorage,
+    AccountType,
 };
@@ -1,6 +1,6 @@
 const { describe, it } = require('mocha');
 const assert = require('chai').assert;
-const { Money, RoundingMode, PrecisionHandling } = require('./index.js');
+const { Money, RoundingMode, PrecisionHandling, AllocationMode, JsonFormat, MinorUnitProfile, ExchangeRates, MoneyBag, CurrencyRounding, TaxCalculator, TaxRounding, Loan, AmortizationType, PaymentFrequency, Finance, MoneyError, CurrencyMismatchError, InvalidAmountError, InvalidCurrencyError, UnsafeNumberError, DivisionByZeroError, ScaleMismatchError, InvalidOptionError, WordsStyle, BankStatement, CreditDebit, Ledger, MemoryLedgerStorage, AccountType } = require('./index.js');
 const Big = require('big.js');
 const _ = require('lodash');
 
@@ -32,6 +32,13 @@ function b(amount) {
     return new Big(amount);
 }
 
+// Node 12 is built with English locale data only.
+const hasLocaleData = new Intl.NumberFormat('de').format(1234.5) === '1.234,5';
+
+function itWithLocale(locale, title, fn) {
+    (hasLocaleData || /^en(-US)?$/.test(locale) ? it : it.skip)(title, fn);
+}
+
 function assoc(fn, left, right, ...args) {
     fn(left, right, ...args);
     fn(right, left, ...args);
@@ -74,6 +81,11 @@ function assertMoneyEq(expected, actual) {
     assert.equal(expected.currency, actual.currency);
 }
 
+function assertMoneyListEq(expected, actual) {
+    assert.equal(expected.length, actual.length);
+    expected.forEach((money, index) => assertMoneyEq(money, actual[index]));
+}
+
 // #endregion
 
 describe('construct', () => {
@@ -420,6 +432,96 @@ describe('ratioOf', () => {
     });
 });
 
+describe('allocate', () => {
+    const tests = [
+        [[m('33.34', EUR), m('33.33', EUR), m('33.33', EUR)], m('100.00', EUR), [1, 1, 1]],
+        [[m('70.00', EUR), m('20.00', EUR), m('10.00', EUR)], m('100.00', EUR), [70, 20, 10]],
+        [[m('0.04', EUR), m('0.01', EUR), m('0.00', EUR)], m('0.05', EUR), [70, 20, 10]],
+        [[m('0.02', EUR), m('0.03', EUR)], m('0.05', EUR), ['0.4', '0.6']],
+        [[m('0.02', EUR), m('0.03', EUR)], m('0.05', EUR), [b('0.4'), b('0.6')]],
+        [[m('0.00', EUR), m('6.67', EUR), m('3.33', EUR)], m('10.00', EUR), [0, 1, '0.5']],
+        [[m('-34', 'JPY'), m('-33', 'JPY'), m('-33', 'JPY')], m('-100', 'JPY'), [1, 1, 1]],
+        [[m('6.667', 'KWD'), m('3.333', 'KWD')], m('10', 'KWD'), [2, 1]],
+        [[m('0.00', EUR), m('0.00', EUR)], m('0.00', EUR), [1, 1]],
+        [[m('0.02', EUR), m('0.01', EUR), m('0.02', EUR)], m('0.05', EUR), [1, 1, 2], AllocationMode.firstFirst],
+        [[m('0.01', EUR), m('0.01', EUR), m('0.03', EUR)], m('0.05', EUR), [1, 1, 2], AllocationMode.largestRemainder],
+    ];
+    tests.forEach(test => {
+        const [expected, money, ratios, mode] = test;
+        let title = `${money} in ratio ${ratios.join(':')} = ${expected.join(', ')}`;
+        if (mode !== undefined) {
+            title += ` with mode ${mode}`;
+        }
+        it(title, () => {
+            assertMoneyListEq(expected, money.allocate(ratios, { mode }));
+        });
+    });
+
+    it('distributes leftover minor units randomly with a seed', () => {
+        const money = m('0.05', EUR);
+        const parts = money.allocate([1, 1, 1, 1, 1, 1, 1], { mode: AllocationMode.random, seed: 42 });
+        const again = money.allocate([1, 1, 1, 1, 1, 1, 1], { mode: AllocationMode.random, seed: 42 });
+        assertMoneyListEq(parts, again);
+        assertMoneyEq(money, parts.reduce((sum, part) => sum.add(part)));
+        parts.forEach(part => assert.equal(true, part.amount.lte('0.01')));
+    });
+
+    it('never gives leftover minor units to zero ratios', () => {
+        [AllocationMode.largestRemainder, AllocationMode.firstFirst, AllocationMode.random].forEach(mode => {
+            const parts = m('0.05', EUR).allocate([0, 1, 1, 0], { mode, seed: 1 });
+            assert.equal(true, parts[0].isZero());
+            assert.equal(true, parts[3].isZero());
+        });
+    });
+
+    it('always sums up to the original amount', () => {
+        const money = m('1234.57', EUR);
+        const ratios = [3, 7, '0.5', 11, 13];
+        [AllocationMode.largestRemainder, AllocationMode.firstFirst, AllocationMode.random].forEach(mode => {
+            const parts = money.allocate(ratios, { mode });
+            assertMoneyEq(money, parts.reduce((sum, part) => sum.add(part)));
+        });
+    });
+
+    const invalidRatios = [
+        [],
+        [0, 0],
+        [1, -1],
+        [1, 'asdf'],
+        'asdf',
+    ];
+    invalidRatios.forEach(ratios => {
+        it(`rejects invalid ratios ${formatValue(ratios)}`, () => {
+            assert.throws(() => m('10.00', EUR).allocate(ratios), RangeError);
+        });
+    });
+
+    it('rejects invalid values for mode option', () => {
+        assert.throws(() => m('10.00', EUR).allocate([1, 1], { mode: 'foobar' }));
+    });
+});
+
+describe('split', () => {
+    const tests = [
+        [[m('33.34', EUR), m('33.33', EUR), m('33.33', EUR)], m('100.00', EUR), 3],
+        [[m('100.00', EUR)], m('100.00', EUR), 1],
+        [[m('1', 'JPY'), m('1', 'JPY'), m('0', 'JPY')], m('2', 'JPY'), 3],
+    ];
+    tests.forEach(test => {
+        const [expected, money, n] = test;
+        it(`${money} into ${n} parts = ${expected.join(', ')}`, () => {
+            assertMoneyListEq(expected, money.split(n));
+        });
+    });
+
+    const invalidParts = [0, -1, 1.5, '2', Number.NaN];
+    invalidParts.forEach(n => {
+        it(`rejects invalid number of parts ${formatValue(n)}`, () => {
+            assert.throws(() => m('10.00', EUR).split(n), RangeError);
+        });
+    });
+});
+
 const toLocaleStringTests = [
     ['€1,000.00', m('1000.00', EUR), 'en'],
     ['-€1,000.00', m('-1000.00', EUR), 'en'],
@@ -461,12 +563,61 @@ describe('toLocaleString', () => {
             });
         });
 
+        const exactTests = [
+            ['€12,341,234,123,412,341,234.12', m('12341234123412341234.12', EUR), 'en'],
+            ['€1,234,123,412,341,235.51', m('1234123412341235.51', EUR), 'en'],
+            ['€1234123412341235.5', m('1234123412341235.51', EUR), 'en', { useGrouping: false, minimumFractionDigits: 1, maximumFractionDigits: 1 }],
+            ['12.341.234.123.412.341.234,12\u00A0€', m('12341234123412341234.12', EUR), 'de-DE'],
+            ['₹1,23,41,23,41,23,41,23,41,234.12', m('12341234123412341234.12', 'INR'), 'en-IN'],
+            ['IRR\u00A01,139,668,304,060,581,050', m('1139668304060581050', 'IRR'), 'en'],
+            ['-€1,000.00', m('-1000.00', EUR), 'en'],
+            ['($1,234.56)', m('-1234.56', USD), 'en', { currencySign: 'accounting' }],
+            ['1234', m('1234.00', EUR), 'es', { style: 'decimal' }],
+            ['12.345', m('12345.00', EUR), 'es', { style: 'decimal' }],
+            ['€123,000,000', m('123456789.00', EUR), 'en', { maximumSignificantDigits: 3 }],
+            ['50%', m('0.50', EUR), 'en', { style: 'percent' }],
+        ];
+        exactTests.forEach(test => {
+            const [expected, money, locale, options] = test;
+            let title = `formats ${money} exactly as '${expected}' for locale '${locale}'`;
+            if (options !== undefined) {
+                title += ` and options ${JSON.stringify(options)}`;
+            }
+            itWithLocale(locale, title, () => {
+                const formatOptions = Object.assign({ precisionHandling: PrecisionHandling.safe }, options);
+                assert.equal(expected, money.toLocaleString(locale, formatOptions));
+            });
+        });
+
+        const intlTests = [
+            [m('-1234.50', EUR), 'ar-EG'],
+            [m('1234.50', EUR), 'hi-IN', { numberingSystem: 'deva' }],
+            [m('-0.40', EUR), 'en', { minimumFractionDigits: 0, maximumFractionDigits: 0 }],
+        ];
+        intlTests.forEach(test => {
+            const [money, locale, options] = test;
+            let title = `formats ${money} like Intl.NumberFormat for locale '${locale}'`;
+            if (options !== undefined) {
+                title += ` and options ${JSON.stringify(options)}`;
+            }
+            it(title, () => {
+                const formatOptions = Object.assign({ style: 'currency', currency: money.currency }, options);
+                const expected = new Intl.NumberFormat(locale, formatOptions).format(money.toSafeNumber());
+                assert.equal(expected, money.toLocaleString(locale, options));
+            });
+        });
+
         unsafeNumbers.forEach(unsafeNumber => {
-            it(`throws on unsafe Number ${unsafeNumber}`, () => {
+            it(`does not throw on unsafe Number ${unsafeNumber}`, () => {
                 const money = m(unsafeNumber, EUR);
-                assert.throws(() => money.toLocaleString(undefined, { precisionHandling: PrecisionHandling.safe }));
+                assert.doesNotThrow(() => money.toLocaleString(undefined, { precisionHandling: PrecisionHandling.safe }));
             });
         });
+
+        it('throws on unsafe Number with non-standard notation', () => {
+            const money = m(unsafeNumbers[0], EUR);
+            assert.throws(() => money.toLocaleString('en', { notation: 'scientific' }), RangeError);
+        });
     });
 
     describe('with \'unchecked\' precision handling', () => {
@@ -560,7 +711,7 @@ describe('toLocaleString', () => {
 
     it('falls back to default locale and options', () => {
         assert.doesNotThrow(() => m(safeNumbers[0], EUR).toLocaleString());
-        assert.throws(() => m(unsafeNumbers[0], EUR).toLocaleString());
+        assert.doesNotThrow(() => m(unsafeNumbers[0], EUR).toLocaleString());
     });
 
     it('rejects invalid values for precisionHandling option', () => {
@@ -571,6 +722,220 @@ describe('toLocaleString', () => {
     });
 });
 
+describe('parse', () => {
+    const tests = [
+        [m('1234.56', EUR), '€1.234,56', { locale: 'de', currency: EUR }],
+        [m('1234.56', EUR), '1 234,56 €', { locale: 'fr', currency: EUR }],
+        [m('1234.56', EUR), '1\u202F234,56\u00A0€', { locale: 'fr', currency: EUR }],
+        [m('-12.00', USD), '(USD 12.00)', { locale: 'en' }],
+        [m('-12.00', USD), '(usd 12.00)', { locale: 'en', currency: USD }],
+        [m('1000.50', 'CHF'), 'CHF 1\'000.50', { locale: 'de-CH' }],
+        [m('1000.50', 'CHF'), 'CHF 1’000.50', { locale: 'de-CH' }],
+        [m('123456.00', 'INR'), '₹1,23,456.00', { locale: 'en-IN', currency: 'INR' }],
+        [m('-5.00', USD), '-$5', { locale: 'en', currency: USD }],
+        [m('-5.00', USD), '$5-', { locale: 'en', currency: USD }],
+        [m('5.00', USD), '+5', { locale: 'en', currency: USD }],
+        [m('12.50', USD), '12.500', { locale: 'en', currency: USD }],
+        [m('0.50', USD), '.5', { locale: 'en', currency: USD }],
+        [m('1234', 'JPY'), '1234', { locale: 'en', currency: 'JPY' }],
+        [m('-1234.50', EUR), '\u061C-\u200F١٬٢٣٤٫٥٠\u00A0€', { locale: 'ar-EG', currency: EUR }],
+        [m('1234.56', EUR), '€1.234,56', { locale: 'de' }],
+        [m('1234.56', EUR), '1 234,56 €', { locale: 'fr' }],
+        [m('1234.56', USD), '$1,234.56', { locale: 'en' }],
+        [m('5.00', 'AUD'), 'A$5', { locale: 'en' }],
+        [m('5.00', 'GBP'), '£5', { locale: 'en' }],
+    ];
+    tests.forEach(test => {
+        const [expected, string, options] = test;
+        itWithLocale(options.locale, `parses '${string}' with options ${JSON.stringify(options)} as ${expected}`, () => {
+            assertMoneyEq(expected, Money.parse(string, options));
+        });
+    });
+
+    const roundTripLocales = ['en', 'de', 'fr', 'de-CH', 'hi', 'pl', 'sv', 'nl', 'pt-BR', 'en-IN', 'ar-EG'];
+    roundTripLocales.forEach(locale => {
+        it(`parses the output of toLocaleString for locale '${locale}'`, () => {
+            const money = m('-1234567.89', EUR);
+            assertMoneyEq(money, Money.parse(money.toLocaleString(locale), { locale, currency: EUR }));
+            const accounting = money.toLocaleString(locale, { currencySign: 'accounting' });
+            assertMoneyEq(money, Money.parse(accounting, { locale, currency: EUR }));
+        });
+    });
+
+    ['en', 'de', 'fr', 'pl', 'ru', 'ar'].forEach(locale => {
+        it(`parses currency names of toLocaleString for locale '${locale}'`, () => {
+            ['1.00', '2.00', '5.00', '1.50', '-22.00'].forEach(amount => {
+                const money = m(amount, USD);
+                const formatted = money.toLocaleString(locale, { currencyDisplay: 'name' });
+                assertMoneyEq(money, Money.parse(formatted, { locale }));
+                assertMoneyEq(money, Money.parse(formatted, { locale, currency: USD }));
+            });
+        });
+    });
+
+    const invalidTests = [
+        ['1.234', { locale: 'en', currency: EUR }, /3 fraction digits exceed the 2 fraction digits of EUR/],
+        ['1.234.567,89', { locale: 'en', currency: EUR }, /multiple decimal separators/],
+        ['1.234,56', { locale: 'en', currency: EUR }, /group separator ',' after the decimal separator/],
+        ['1,23,456.00', { locale: 'en', currency: EUR }, /invalid digit grouping/],
+        ['12 USD', { locale: 'en', currency: EUR }, /currency USD does not match EUR/],
+        ['USD 12 EUR', { locale: 'en' }, /ambiguous currency/],
+        ['5', { locale: 'en' }, /missing currency code/],
+        ['§ 5', { locale: 'en' }, /unknown currency symbol '§', pass the currency option/],
+        ['kr 5', { locale: 'en' }, /ambiguous currency symbol 'kr'/],
+        ['£ 5', { locale: 'en', currency: EUR }, /unknown currency symbol '£' for EUR/],
+        ['--5', { locale: 'en', currency: EUR }, /multiple negative signs/],
+        ['(-5)', { locale: 'en', currency: EUR }, /multiple negative signs/],
+        ['1_000', { locale: 'en', currency: EUR }, /unexpected character '_'/],
+        ['', { locale: 'en', currency: EUR }, /no digits found/],
+        ['EUR', { locale: 'en' }, /no digits found/],
+        ['$5.', { locale: 'en', currency: USD }, /trailing separator '.'/],
+        ['5, USD', { locale: 'en' }, /trailing separator ','/],
+    ];
+    invalidTests.forEach(test => {
+        const [string, options, message] = test;
+        it(`rejects '${string}' with options ${JSON.stringify(options)}`, () => {
+            assert.throws(() => Money.parse(string, options), RangeError, message);
+        });
+    });
+
+    it('rejects non-string input', () => {
+        [undefined, null, 12, {}].forEach(value => {
+            assert.throws(() => Money.parse(value, { currency: EUR }), RangeError);
+        });
+    });
+});
+
+describe('JSON', () => {
+    const tests = [
+        ['{"amount":"1.5","currency":"EUR"}', '{"minorUnits":150,"currency":"EUR"}', m('1.50', EUR)],
+        ['{"amount":"-1234","currency":"JPY"}', '{"minorUnits":-1234,"currency":"JPY"}', m('-1234', 'JPY')],
+        ['{"amount":"0.001","currency":"KWD"}', '{"minorUnits":1,"currency":"KWD"}', m('0.001', 'KWD')],
+        ['{"amount":"0","currency":"USD"}', '{"minorUnits":0,"currency":"USD"}', m('0.00', USD)],
+    ];
+    tests.forEach(test => {
+        const [decimalJson, minorUnitsJson, money] = test;
+        it(`serializes ${money} as ${decimalJson}`, () => {
+            assert.equal(decimalJson, JSON.stringify(money));
+            assert.equal(decimalJson, JSON.stringify(money.toJSONObject(JsonFormat.decimal)));
+        });
+        it(`serializes ${money} as ${minorUnitsJson}`, () => {
+            assert.equal(minorUnitsJson, JSON.stringify(money.toJSONObject(JsonFormat.minorUnits)));
+        });
+        it(`revives ${decimalJson} and ${minorUnitsJson} as ${money}`, () => {
+            assertMoneyEq(money, Money.fromJSON(JSON.parse(decimalJson)));
+            assertMoneyEq(money, Money.fromJSON(JSON.parse(minorUnitsJson)));
+            assertMoneyEq(money, JSON.parse(decimalJson, Money.reviver));
+            assertMoneyEq(money, JSON.parse(minorUnitsJson, Money.reviver));
+        });
+    });
+
+    it('serializes with the format of a subclass', () => {
+        class MinorUnitsMoney extends Money {
+            static get jsonFormat() {
+                return JsonFormat.minorUnits;
+            }
+        }
+        assert.equal('{"minorUnits":1999,"currency":"USD"}', JSON.stringify(new MinorUnitsMoney('19.99', USD)));
+    });
+
+    it('revives nested money of the calling class', () => {
+        class SubMoney extends Money {}
+        const json = JSON.stringify({ total: m('10.00', EUR), items: [m('3.00', EUR), m('7.00', EUR)], amount: '1.00' });
+        const revived = JSON.parse(json, SubMoney.reviver);
+        assert.instanceOf(revived.total, SubMoney);
+        assertMoneyEq(m('10.00', EUR), revived.total);
+        assertMoneyListEq([m('3.00', EUR), m('7.00', EUR)], revived.items);
+        assert.equal('1.00', revived.amount);
+    });
+
+    it('leaves objects that only look similar to money untouched', () => {
+        const json = '{"a":{"amount":"1.00","currency":"EUR","note":"x"},"b":{"amount":"1.00"},"c":{"currency":"EUR"}}';
+        assert.deepEqual(JSON.parse(json), JSON.parse(json, Money.reviver));
+    });
+
+    it('refuses to serialize unsafe minor units', () => {
+        assert.throws(() => m('1139668304060581050', 'IRR').toJSONObject(JsonFormat.minorUnits), RangeError);
+    });
+
+    it('rejects invalid JSON formats', () => {
+        assert.throws(() => m('1.00', EUR).toJSONObject('foobar'));
+    });
+
+    const invalidJsons = [
+        [null, TypeError],
+        ['{"amount":"1.00"}', TypeError],
+        ['{"amount":"1.00","currency":"EUR","minorUnits":100}', TypeError],
+        ['{"amount":"1.001","currency":"EUR"}', RangeError],
+        ['{"amount":"asdf","currency":"EUR"}', RangeError],
+        ['{"amount":"1.00","currency":"FOOBAR"}', RangeError],
+        ['{"minorUnits":1.5,"currency":"EUR"}', RangeError],
+        ['{"minorUnits":"100","currency":"EUR"}', RangeError],
+    ];
+    invalidJsons.forEach(test => {
+        const [json, errorType] = test;
+        it(`rejects ${json}`, () => {
+            assert.throws(() => Money.fromJSON(JSON.parse(json)), errorType);
+        });
+    });
+});
+
+describe('minor units', () => {
+    const tests = [
+        [m('19.99', USD), BigInt(1999)],
+        [m('-19.99', USD), BigInt(-1999)],
+        [m('1999', 'JPY'), BigInt(1999)],
+        [m('1.999', 'KWD'), BigInt(1999)],
+        [m('0.00', EUR), BigInt(0)],
+        [m('1139668304060581050', 'IRR'), BigInt('1139668304060581050')],
+        [m('500', 'ISK'), BigInt(50000), MinorUnitProfile.stripe],
+        [m('500', 'ISK'), BigInt(50000), 'stripe'],
+        [m('500', 'UGX'), BigInt(50000), 'stripe'],
+        [m('19.99', USD), BigInt(1999), 'stripe'],
+        [m('500', 'ISK'), BigInt(500), MinorUnitProfile.iso],
+        [m('5.00', 'HUF'), BigInt(5), { fractionDigits: { HUF: 0 } }],
+    ];
+    tests.forEach(test => {
+        const [money, minorUnits, profile] = test;
+        const suffix = profile !== undefined ? ` with profile ${JSON.stringify(profile)}` : '';
+        it(`${money} has ${minorUnits} minor units${suffix}`, () => {
+            assert.equal(minorUnits, money.toMinorUnits(profile));
+        });
+        it(`${minorUnits} minor units of ${money.currency} are ${money}${suffix}`, () => {
+            assertMoneyEq(money, Money.fromMinorUnits(minorUnits, money.currency, profile));
+            if (Number.isSafeInteger(Number(minorUnits))) {
+                assertMoneyEq(money, Money.fromMinorUnits(Number(minorUnits), money.currency, profile));
+            }
+        });
+    });
+
+    it('normalizes the currency', () => {
+        assertMoneyEq(m('19.99', USD), Money.fromMinorUnits(1999, 'usd'));
+    });
+
+    it('rejects minor units that are not representable in the currency', () => {
+        assert.throws(() => Money.fromMinorUnits(50050, 'ISK', 'stripe'), RangeError);
+    });
+
+    it('rejects amounts that are not representable in the profile', () => {
+        assert.throws(() => m('5.50', 'HUF').toMinorUnits({ fractionDigits: { HUF: 0 } }), RangeError);
+    });
+
+    const invalidMinorUnits = ['1999', 19.99, Number.MAX_SAFE_INTEGER + 1, Number.NaN, null, undefined];
+    invalidMinorUnits.forEach(minorUnits => {
+        it(`rejects invalid minor units ${formatValue(minorUnits)}`, () => {
+            assert.throws(() => Money.fromMinorUnits(minorUnits, USD), RangeError);
+        });
+    });
+
+    it('rejects invalid profiles', () => {
+        [null, 'foobar', {}, 123].forEach(profile => {
+            assert.throws(() => m('1.00', USD).toMinorUnits(profile));
+            assert.throws(() => Money.fromMinorUnits(100, USD, profile));
+        });
+    });
+});
+
 describe('toSafeNumber', () => {
     safeNumbers.forEach(number => {
         const money = m(number, EUR);
@@ -737,4 +1102,1950 @@ describe('convertCurrency', () => {
             assert.equal('IRR', usNationalDebtIrr.currency);
         });
     });
-});
\ No newline at end of file
+});
+
+describe('ExchangeRates', () => {
+    function createRates() {
+        return new ExchangeRates({ base: EUR })
+            .set(EUR, USD, '1.10')
+            .set(EUR, USD, '1.20', '2021-01-01')
+            .set(EUR, USD, '1.25', new Date(Date.UTC(2021, 5, 1)))
+            .set(EUR, 'JPY', '130', '2020-06-01')
+            .set('GBP', EUR, '1.125');
+    }
+
+    const findTests = [
+        ['1.25', [EUR, USD], EUR, USD, undefined],
+        ['1.2', [EUR, USD], EUR, USD, '2021-05-31'],
+        ['1.1', [EUR, USD], EUR, USD, '2020-12-31'],
+        ['0.83333333333333333333', [USD, EUR], USD, EUR, '2021-05-31'],
+        ['1', [EUR], EUR, EUR, undefined],
+        ['1', [EUR], 'eur', EUR, undefined],
+        ['1.40625', ['GBP', EUR, USD], 'GBP', USD, undefined],
+        ['146.25', ['GBP', EUR, 'JPY'], 'GBP', 'JPY', '2020-06-01'],
+    ];
+    findTests.forEach(test => {
+        const [expected, path, from, to, date] = test;
+        it(`finds rate ${expected} from ${from} to ${to}${date !== undefined ? ` as of ${date}` : ''} via ${path.join(' -> ')}`, () => {
+            const found = createRates().find(from, to, date);
+            assert.equal(expected, found.rate.toFixed());
+            assert.deepEqual(path, found.path);
+        });
+    });
+
+    it('records the legs of a triangulated rate', () => {
+        const { legs } = createRates().get(USD, 'JPY', '2021-01-15');
+        assert.deepEqual([USD, EUR], [legs[0].from, legs[0].to]);
+        assert.equal('2021-01-01', legs[0].date);
+        assert.equal(true, legs[0].inverse);
+        assert.deepEqual([EUR, 'JPY'], [legs[1].from, legs[1].to]);
+        assert.equal('2020-06-01', legs[1].date);
+        assert.equal(false, legs[1].inverse);
+    });
+
+    it('returns null for missing rates', () => {
+        const rates = createRates();
+        assert.equal(null, rates.find(USD, 'CHF'));
+        assert.equal(null, rates.find(EUR, 'JPY', '2020-05-31'));
+        assert.equal(null, new ExchangeRates().set(EUR, USD, 2).set(EUR, 'JPY', 130).find(USD, 'JPY'));
+    });
+
+    it('throws for missing rates', () => {
+        assert.throws(() => createRates().get(USD, 'CHF'), RangeError, /No exchange rate from USD to CHF/);
+        assert.throws(() => createRates().get(EUR, 'JPY', '2020-05-31'), RangeError, /as of 2020-05-31/);
+    });
+
+    it('replaces the rate for the same date', () => {
+        const rates = new ExchangeRates().set(EUR, USD, 2, '2021-01-01').set(EUR, USD, 3, '2021-01-01');
+        assert.equal('3', rates.get(EUR, USD).rate.toFixed());
+    });
+
+    const invalidRates = [0, -1, 'asdf', null];
+    invalidRates.forEach(rate => {
+        it(`rejects invalid rate ${formatValue(rate)}`, () => {
+            assert.throws(() => new ExchangeRates().set(EUR, USD, rate), RangeError);
+        });
+    });
+
+    it('rejects invalid dates and currencies', () => {
+        assert.throws(() => new ExchangeRates().set(EUR, USD, 1, '01/01/2021'), RangeError);
+        assert.throws(() => new ExchangeRates().set(EUR, USD, 1, new Date('foo')), RangeError);
+        ['2020-13-45', '2021-02-29', '2021-04-31', '2021-00-10'].forEach(date => {
+            assert.throws(() => new ExchangeRates().set(EUR, USD, 1, date), RangeError, /Invalid date/);
+        });
+        assert.doesNotThrow(() => new ExchangeRates().set(EUR, USD, 1, '2020-02-29'));
+        assert.throws(() => new ExchangeRates().set(EUR, 'FOOBAR', 1), RangeError);
+        assert.throws(() => new ExchangeRates().set(EUR, EUR, 1), RangeError);
+    });
+
+    it('uses the Big constructor of the Money class', () => {
+        const CustomBig = Big();
+        CustomBig.DP = 5;
+        const rates = new ExchangeRates({ Money: Money.configure({ Big: CustomBig }) }).set(EUR, USD, 3);
+        assert.instanceOf(rates.get(EUR, USD).rate, CustomBig);
+        assert.instanceOf(rates.get(EUR, EUR).rate, CustomBig);
+        assert.equal('0.33333', rates.get(USD, EUR).rate.toFixed());
+    });
+});
+
+describe('convert', () => {
+    const rates = new ExchangeRates({ base: EUR })
+        .set(EUR, USD, '1.10')
+        .set(EUR, USD, '1.20', '2021-01-01')
+        .set(EUR, 'JPY', '130');
+
+    const tests = [
+        [m('83.33', EUR), m('100.00', USD)],
+        [m('90.91', EUR), m('100.00', USD), { date: '2020-12-31' }],
+        [m('90.90', EUR), m('100.00', USD), { date: '2020-12-31', roundingMode: RoundingMode.down }],
+        [m('10833', 'JPY'), m('100.00', USD)],
+        [m('100.00', USD), m('100.00', USD)],
+    ];
+    tests.forEach(test => {
+        const [expected, money, options] = test;
+        let title = `${money} = ${expected}`;
+        if (options !== undefined) {
+            title += ` with options ${JSON.stringify(options)}`;
+        }
+        it(title, () => {
+            assertMoneyEq(expected, money.convert(expected.currency, rates, options));
+        });
+    });
+
+    it('returns a record of the conversion', () => {
+        const record = m('100.00', USD).convertWithRecord('JPY', rates);
+        assertMoneyEq(m('10833', 'JPY'), record.money);
+        assert.deepEqual([USD, EUR, 'JPY'], record.path);
+        assert.equal(2, record.legs.length);
+        assert.equal(true, record.money.amount.plus(record.residual).eq(m('100.00', USD).amount.times(record.rate)));
+        assert.equal(true, record.residual.abs().lt('0.5'));
+    });
+
+    it('keeps the class of the money', () => {
+        class SubMoney extends Money {}
+        assert.instanceOf(new SubMoney('1.00', EUR).convert(USD, rates), SubMoney);
+    });
+});
+
+describe('MoneyBag', () => {
+    function bag(...moneys) {
+        return new MoneyBag(moneys);
+    }
+
+    function assertBagEq(expected, actual) {
+        assert.deepEqual(expected.currencies(), actual.currencies());
+        assertMoneyListEq(expected.toArray(), actual.toArray());
+    }
+
+    it('sums up moneys of the same currency', () => {
+        const wallet = bag(m('10.00', USD), m('5.00', EUR), m('1.50', USD));
+        assert.deepEqual([EUR, USD], wallet.currencies());
+        assertMoneyEq(m('11.50', USD), wallet.get(USD));
+        assertMoneyEq(m('5.00', EUR), wallet.get('eur'));
+        assertMoneyEq(m('0', 'JPY'), wallet.get('JPY'));
+        assert.equal(true, wallet.has(USD));
+        assert.equal(false, wallet.has('JPY'));
+        assert.equal(2, wallet.size);
+    });
+
+    it('does not expose its moneys for mutation', () => {
+        const wallet = bag(m('10.00', USD));
+        assert.deepEqual([], Object.keys(wallet));
+        wallet.toArray().pop();
+        assertMoneyEq(m('10.00', USD), wallet.get(USD));
+        assert.isUndefined(wallet.addInPlace);
+        assert.isUndefined(wallet.clone);
+    });
+
+    const tests = [
+        ['add', bag(m('11.00', USD), m('5.00', EUR)), bag(m('10.00', USD)), bag(m('1.00', USD), m('5.00', EUR))],
+        ['add', bag(m('11.00', USD)), bag(m('10.00', USD)), m('1.00', USD)],
+        ['add', bag(m('10.00', USD)), bag(m('10.00', USD), m('5.00', EUR)), m('-5.00', EUR)],
+        ['sub', bag(m('9.00', USD), m('-5.00', EUR)), bag(m('10.00', USD)), bag(m('1.00', USD), m('5.00', EUR))],
+        ['sub', bag(), bag(m('10.00', USD)), m('10.00', USD)],
+    ];
+    tests.forEach(test => {
+        const [op, expected, left, right] = test;
+        it(`(${left}) ${op} (${right}) = (${expected})`, () => {
+            const result = left[op](right);
+            assertBagEq(expected, result);
+            assert.equal(true, expected.eq(result));
+        });
+    });
+
+    it('does not mutate the original bag', () => {
+        const wallet = bag(m('10.00', USD));
+        wallet.add(m('5.00', EUR));
+        wallet.sub(m('10.00', USD));
+        assertBagEq(bag(m('10.00', USD)), wallet);
+    });
+
+    it('negates all amounts', () => {
+        assertBagEq(bag(m('-10.00', USD), m('5.00', EUR)), bag(m('10.00', USD), m('-5.00', EUR)).neg());
+    });
+
+    it('is zero without non-zero amounts', () => {
+        assert.equal(true, bag().isZero());
+        assert.equal(true, bag(m('0.00', USD)).isZero());
+        assert.equal(true, bag(m('1.00', USD), m('-1.00', USD)).isZero());
+        assert.equal(false, bag(m('1.00', USD)).isZero());
+    });
+
+    const eqTests = [
+        [true, bag(m('1.00', USD), m('2.00', EUR)), bag(m('2.00', EUR), m('1.00', USD))],
+        [true, bag(m('1.00', USD)), m('1.00', USD)],
+        [true, bag(), bag(m('0.00', EUR))],
+        [false, bag(m('1.00', USD)), bag(m('1.00', USD), m('2.00', EUR))],
+        [false, bag(m('1.00', USD)), bag(m('1.00', EUR))],
+        [false, bag(m('1.00', USD)), bag(m('2.00', USD))],
+    ];
+    eqTests.forEach(test => {
+        const [expected, left, right] = test;
+        it(`(${left}) ${expected ? '===' : '!=='} (${right})`, () => {
+            assert.equal(expected, left.eq(right));
+        });
+    });
+
+    it('iterates over the moneys sorted by currency', () => {
+        const moneys = [...bag(m('1.00', USD), m('2.00', EUR), m('3', 'JPY'))];
+        assertMoneyListEq([m('2.00', EUR), m('3', 'JPY'), m('1.00', USD)], moneys);
+    });
+
+    it('collapses into a single currency rounding once', () => {
+        const rates = new ExchangeRates().set(EUR, USD, '1.10').set(EUR, 'JPY', '130');
+        const wallet = bag(m('1.00', USD), m('1.00', USD).mul(-1).add(m('0.01', USD)), m('1', 'JPY'), m('5.00', EUR));
+        assertMoneyEq(m('5.02', EUR), wallet.collapse(EUR, rates));
+        assertMoneyEq(m('5.01', EUR), wallet.collapse(EUR, rates, { roundingMode: RoundingMode.down }));
+        assertMoneyEq(m('0', EUR), bag().collapse(EUR, rates));
+        assert.throws(() => bag(m('1.00', 'CHF')).collapse(EUR, rates), RangeError);
+    });
+
+    it('rejects values that are not money', () => {
+        assert.throws(() => bag('10.00'), TypeError);
+        assert.throws(() => bag().add({ amount: b(1), currency: EUR }), TypeError);
+    });
+});
+
+describe('registerCurrency', () => {
+    class CryptoMoney extends Money {}
+    CryptoMoney
+        .registerCurrency({ code: 'BTC', fractionDigits: 8, symbol: '₿', name: 'bitcoin' })
+        .registerCurrency({ code: 'usdt', fractionDigits: 6 })
+        .registerCurrency({ code: 'KWD', fractionDigits: 2 });
+
+    function c(amount, currency, roundingMode) {
+        return new CryptoMoney(amount, currency, roundingMode);
+    }
+
+    const constructTests = [
+        ['1.12345679', 'BTC', '1.123456789', 'btc'],
+        ['1.12345678', 'BTC', '1.123456789', 'BTC', RoundingMode.down],
+        ['0.000001', 'USDT', '0.0000009', 'USDT'],
+        ['1.01', 'KWD', '1.005', 'KWD'],
+    ];
+    constructTests.forEach(test => {
+        const [expectedAmount, expectedCurrency, amount, currency, roundingMode] = test;
+        it(`constructs ${currency} ${amount} as ${expectedCurrency} ${expectedAmount}`, () => {
+            const money = c(amount, currency, roundingMode);
+            assert.equal(expectedAmount, money.toDecimalString());
+            assert.equal(expectedCurrency, money.currency);
+        });
+    });
+
+    it('does not affect the parent class', () => {
+        assert.throws(() => m('1.00', 'USDT'), RangeError);
+        assert.equal('1.005', m('1.005', 'KWD').toDecimalString());
+        assert.equal('1.12', m('1.123456789', 'BTC').toDecimalString());
+    });
+
+    it('is inherited by subclasses', () => {
+        class SubCryptoMoney extends CryptoMoney {}
+        assert.equal('0.00000001', new SubCryptoMoney('0.00000001', 'BTC').toDecimalString());
+    });
+
+    it('applies to classes that are already extended', () => {
+        class SubMoney extends Money {}
+        Money.registerCurrency({ code: 'LOYALTY', fractionDigits: 0, symbol: 'pts' });
+        assert.equal('LOYALTY 2', new SubMoney('1.5', 'loyalty').toString());
+    });
+
+    const formatTests = [
+        ['₿1.12345679', c('1.12345679', 'BTC'), 'en'],
+        ['1,12345679\u00A0₿', c('1.12345679', 'BTC'), 'de'],
+        ['BTC\u00A01.12345679', c('1.12345679', 'BTC'), 'en', { currencyDisplay: 'code' }],
+        ['1.12345679 bitcoin', c('1.12345679', 'BTC'), 'en', { currencyDisplay: 'name' }],
+        ['₿1.1', c('1.12345679', 'BTC'), 'en', { maximumFractionDigits: 1 }],
+        ['USDT\u00A01,234.500000', c('1234.5', 'USDT'), 'en'],
+        ['USDT\u00A01,234.500000', c('1234.5', 'USDT'), 'en', { precisionHandling: PrecisionHandling.unchecked }],
+        ['1,234.5', c('1234.5', 'USDT'), 'en', { style: 'decimal' }],
+        ['KWD\u00A01.01', c('1.005', 'KWD'), 'en'],
+    ];
+    formatTests.forEach(test => {
+        const [expected, money, locale, options] = test;
+        let title = `formats ${money} as '${expected}' for locale '${locale}'`;
+        if (options !== undefined) {
+            title += ` and options ${JSON.stringify(options)}`;
+        }
+        itWithLocale(locale, title, () => {
+            assert.equal(expected, money.toLocaleString(locale, options));
+        });
+    });
+
+    const parseTests = [
+        [c('0.5', 'BTC'), '₿0.5', { locale: 'en', currency: 'BTC' }],
+        [c('-1.12345679', 'BTC'), '-1,12345679 ₿', { locale: 'de', currency: 'BTC' }],
+        [c('12.123456', 'USDT'), 'USDT 12.123456', { locale: 'en' }],
+        [c('1', 'BTC'), 'btc 1', { locale: 'en' }],
+        [c('1.5', 'BTC'), '₿1.5', { locale: 'en' }],
+        [c('1.5', 'BTC'), '1.5 bitcoin', { locale: 'en' }],
+    ];
+    parseTests.forEach(test => {
+        const [expected, string, options] = test;
+        itWithLocale(options.locale, `parses '${string}' as ${expected}`, () => {
+            assertMoneyEq(expected, CryptoMoney.parse(string, options));
+        });
+    });
+
+    it('rejects over-precise input when parsing', () => {
+        assert.throws(() => CryptoMoney.parse('1.123', { locale: 'en', currency: 'KWD' }), RangeError, /fraction digits/);
+    });
+
+    it('converts minor units with the registered fraction digits', () => {
+        assertMoneyEq(c('0.00000001', 'BTC'), CryptoMoney.fromMinorUnits(1, 'BTC'));
+        assert.equal(BigInt(100000000), c('1', 'BTC').toMinorUnits());
+    });
+
+    it('is used by exchange rates and money bags', () => {
+        const rates = new ExchangeRates({ Money: CryptoMoney }).set('BTC', EUR, '30000.5');
+        assertMoneyEq(c('15000.25', EUR), c('0.5', 'BTC').convert(EUR, rates));
+        class CryptoMoneyBag extends MoneyBag {
+            static get Money() {
+                return CryptoMoney;
+            }
+        }
+        assertMoneyEq(c('0', 'USDT'), new CryptoMoneyBag().get('usdt'));
+        const zero = new MoneyBag([c('1', 'BTC')]).get('usdt');
+        assert.instanceOf(zero, CryptoMoney);
+        assertMoneyEq(c('0', 'USDT'), zero);
+    });
+
+    const invalidDefinitions = [
+        undefined,
+        {},
+        { code: '', fractionDigits: 2 },
+        { code: 'B-C', fractionDigits: 2 },
+        { code: 'ABC', fractionDigits: -1 },
+        { code: 'ABC', fractionDigits: 1.5 },
+        { code: 'ABC', fractionDigits: 21 },
+        { code: 'ABC', fractionDigits: 2, symbol: '' },
+        { code: 'ABC', fractionDigits: 2, name: 123 },
+    ];
+    invalidDefinitions.forEach(definition => {
+        it(`rejects invalid definition ${formatValue(definition)}`, () => {
+            class InvalidMoney extends Money {}
+            assert.throws(() => InvalidMoney.registerCurrency(definition), RangeError);
+        });
+    });
+});
+
+describe('collections', () => {
+    const list = [m('3.00', EUR), m('1.00', EUR), m('10.00', EUR), m('2.00', EUR)];
+    const mixed = [m('1.00', EUR), m('1.00', USD)];
+
+    describe('sum', () => {
+        it(`of [${list.join(', ')}] = EUR 16.00`, () => {
+            assertMoneyEq(m('16.00', EUR), Money.sum(list));
+            assertMoneyEq(m('16.00', EUR), Money.sum(list, 'eur'));
+        });
+        it('of an empty list with currency is zero', () => {
+            assertMoneyEq(m('0.00', EUR), Money.sum([], EUR));
+        });
+        it('of an empty list without currency throws', () => {
+            assert.throws(() => Money.sum([]), RangeError);
+        });
+        it('throws currency mismatch error', () => {
+            assert.throws(() => Money.sum(mixed), /Cannot apply operation sum/);
+            assert.throws(() => Money.sum(list, USD), /Cannot apply operation sum/);
+        });
+        it('keeps the class', () => {
+            class SubMoney extends Money {}
+            assert.instanceOf(SubMoney.sum([], EUR), SubMoney);
+        });
+    });
+
+    const tests = [
+        ['min', m('1.00', EUR), [list]],
+        ['max', m('10.00', EUR), [list]],
+        ['min', m('-5.00', EUR), [[m('5.00', EUR), m('-5.00', EUR)]]],
+        ['average', m('4.00', EUR), [list]],
+        ['average', m('0.02', EUR), [[m('0.01', EUR), m('0.02', EUR)]]],
+        ['average', m('0.01', EUR), [[m('0.01', EUR), m('0.02', EUR)], RoundingMode.down]],
+        ['average', m('3.33', EUR), [[m('0.01', EUR), m('9.99', EUR), m('0.00', EUR)]]],
+        ['median', m('2.50', EUR), [list]],
+        ['median', m('3.00', EUR), [list.slice(0, 3)]],
+        ['median', m('0.01', EUR), [[m('0.01', EUR), m('0.02', EUR)], RoundingMode.down]],
+        ['percentile', m('1.00', EUR), [list, 0]],
+        ['percentile', m('10.00', EUR), [list, 100]],
+        ['percentile', m('7.90', EUR), [list, 90]],
+        ['percentile', m('1.75', EUR), [list, '25']],
+        ['percentile', m('5.00', EUR), [[m('5.00', EUR)], 50]],
+    ];
+    tests.forEach(test => {
+        const [op, expected, args] = test;
+        const [moneys, ...rest] = args;
+        it(`${op} of [${moneys.join(', ')}]${rest.length > 0 ? ` with ${rest.join(', ')}` : ''} = ${expected}`, () => {
+            assertMoneyEq(expected, Money[op](moneys, ...rest));
+        });
+    });
+
+    ['min', 'max', 'average', 'median'].forEach(op => {
+        it(`${op} of an empty list throws`, () => {
+            assert.throws(() => Money[op]([]), RangeError);
+        });
+        it(`${op} throws currency mismatch error`, () => {
+            assert.throws(() => Money[op](mixed), new RegExp(`Cannot apply operation ${op === 'median' ? 'percentile' : op}`));
+        });
+    });
+
+    it('percentile rejects invalid percentiles', () => {
+        [-1, 101, 'asdf'].forEach(p => {
+            assert.throws(() => Money.percentile(list, p), RangeError);
+        });
+    });
+});
+
+describe('rounding modes', () => {
+    const amounts = ['0.125', '-0.125', '0.135', '-0.135', '0.126', '-0.126', '0.121', '-0.121'];
+    const expectations = {
+        down: ['0.12', '-0.12', '0.13', '-0.13', '0.12', '-0.12', '0.12', '-0.12'],
+        up: ['0.13', '-0.13', '0.14', '-0.14', '0.13', '-0.13', '0.13', '-0.13'],
+        halfUp: ['0.13', '-0.13', '0.14', '-0.14', '0.13', '-0.13', '0.12', '-0.12'],
+        halfEven: ['0.12', '-0.12', '0.14', '-0.14', '0.13', '-0.13', '0.12', '-0.12'],
+        ceiling: ['0.13', '-0.12', '0.14', '-0.13', '0.13', '-0.12', '0.13', '-0.12'],
+        floor: ['0.12', '-0.13', '0.13', '-0.14', '0.12', '-0.13', '0.12', '-0.13'],
+        halfDown: ['0.12', '-0.12', '0.13', '-0.13', '0.13', '-0.13', '0.12', '-0.12'],
+        halfOdd: ['0.13', '-0.13', '0.13', '-0.13', '0.13', '-0.13', '0.12', '-0.12'],
+        halfCeiling: ['0.13', '-0.12', '0.14', '-0.13', '0.13', '-0.13', '0.12', '-0.12'],
+        halfFloor: ['0.12', '-0.13', '0.13', '-0.14', '0.13', '-0.13', '0.12', '-0.12'],
+    };
+    Object.keys(expectations).forEach(name => {
+        describe(name, () => {
+            amounts.forEach((amount, index) => {
+                const expected = expectations[name][index];
+                it(`constructs EUR ${amount} as EUR ${expected}`, () => {
+                    assert.equal(b(expected).toFixed(), m(amount, EUR, RoundingMode[name]).toDecimalString());
+                });
+            });
+        });
+    });
+
+    const opTests = [
+        [m('-3.34', EUR), m('-10.00', EUR), 'div', 3, RoundingMode.floor],
+        [m('-3.33', EUR), m('-10.00', EUR), 'div', 3, RoundingMode.ceiling],
+        [m('3.34', EUR), m('10.00', EUR), 'div', 3, RoundingMode.ceiling],
+        [m('0.00', EUR), m('-0.05', EUR), 'mul', '0.1', RoundingMode.halfDown],
+        [m('0.00', EUR), m('-0.05', EUR), 'mul', '0.1', RoundingMode.halfCeiling],
+        [m('-0.01', EUR), m('-0.05', EUR), 'mul', '0.1', RoundingMode.halfFloor],
+        [m('-0.01', EUR), m('-0.05', EUR), 'mul', '0.3', RoundingMode.halfOdd],
+        [m('-0.02', EUR), m('-0.05', EUR), 'mul', '0.3', RoundingMode.halfFloor],
+        [m('0.02', EUR), m('0.05', EUR), 'mul', '0.3', RoundingMode.halfCeiling],
+    ];
+    opTests.forEach(test => {
+        const [expected, money, op, n, roundingMode] = test;
+        it(`${money} ${op} ${n} rounding ${roundingMode} = ${expected}`, () => {
+            assertMoneyEq(expected, money[op](n, roundingMode));
+        });
+    });
+
+    it('applies to conversions', () => {
+        const rates = new ExchangeRates().set(EUR, USD, '1.005');
+        assertMoneyEq(m('-1.01', USD), m('-1.00', EUR).convert(USD, rates, { roundingMode: RoundingMode.floor }));
+        assertMoneyEq(m('-1.00', USD), m('-1.00', EUR).convert(USD, rates, { roundingMode: RoundingMode.ceiling }));
+        assertMoneyEq(m('-1.00', USD), m('-1.00', EUR).convert(USD, rates, { roundingMode: RoundingMode.halfDown }));
+    });
+
+    it('applies to the roundingMode option of toLocaleString', () => {
+        const money = m('-1.55', EUR);
+        assert.equal('-€1.6', money.toLocaleString('en', { maximumFractionDigits: 1, roundingMode: 'floor' }));
+        assert.equal('-€1.5', money.toLocaleString('en', { maximumFractionDigits: 1, roundingMode: 'halfCeil' }));
+        assert.equal('-€1.5', money.toLocaleString('en', { maximumFractionDigits: 1, roundingMode: 'halfTrunc' }));
+    });
+
+    it('rejects invalid rounding modes', () => {
+        [-1, 10, 'up', null].forEach(roundingMode => {
+            assert.throws(() => m('1.005', EUR, roundingMode), RangeError);
+        });
+    });
+});
+
+describe('cash rounding', () => {
+    const CHF = 'CHF';
+    const SEK = 'SEK';
+
+    const incrementTests = [
+        [m('10.05', CHF), m('10.03', CHF), '0.05', undefined],
+        [m('10.00', CHF), m('10.02', CHF), '0.05', undefined],
+        [m('10.50', CHF), m('10.25', CHF), '0.5', RoundingMode.halfUp],
+        [m('10.00', CHF), m('10.25', CHF), '0.5', RoundingMode.halfEven],
+        [m('-10.05', CHF), m('-10.01', CHF), '0.05', RoundingMode.floor],
+        [m('-10.00', CHF), m('-10.04', CHF), '0.05', RoundingMode.ceiling],
+        [m('10', SEK), m('7.50', SEK), '5', RoundingMode.halfEven],
+        [m('10', SEK), m('12.50', SEK), '5', RoundingMode.halfEven],
+        [m('0.75', EUR), m('0.80', EUR), '0.25', RoundingMode.halfDown],
+    ];
+    incrementTests.forEach(test => {
+        const [expected, money, increment, roundingMode] = test;
+        it(`rounds ${money} to increment ${increment} with rounding mode ${roundingMode} = ${expected}`, () => {
+            assertMoneyEq(expected, money.roundToIncrement(increment, roundingMode));
+        });
+    });
+
+    it('rejects increments that are not a multiple of the minor unit', () => {
+        ['0.001', '0', '-0.05'].forEach(increment => {
+            assert.throws(() => m('1.00', EUR).roundToIncrement(increment), RangeError);
+        });
+    });
+
+    const cashTests = [
+        ['10.05', '0.02', '10.03', CHF],
+        ['10', '-0.24', '10.24', 'DKK'],
+        ['10.5', '0.01', '10.49', 'DKK'],
+        ['11', '0.50', '10.50', SEK],
+        ['1235', '0', '1235', 'HUF'],
+        ['1230', '-2', '1232', 'HUF'],
+        ['10.03', '0', '10.03', EUR],
+    ];
+    cashTests.forEach(test => {
+        const [cash, difference, amount, currency] = test;
+        it(`rounds ${currency} ${amount} to cash ${cash} with difference ${difference}`, () => {
+            const money = m(amount, currency);
+            assertMoneyEq(m(cash, currency), money.roundToCash());
+            assertMoneyEq(m(difference, currency), money.cashRounding());
+            assertMoneyEq(money.roundToCash(), money.add(money.cashRounding()));
+        });
+    });
+
+    it('is applied by the constructor with the cash rounding option', () => {
+        assertMoneyEq(m('10.05', CHF), new Money('10.025', CHF, { rounding: CurrencyRounding.cash }));
+        assertMoneyEq(m('10.00', CHF), new Money('10.025', CHF, { rounding: 'cash', roundingMode: RoundingMode.down }));
+        assertMoneyEq(m('10.03', CHF), new Money('10.025', CHF, { rounding: 'standard' }));
+        assertMoneyEq(m('10.03', CHF), new Money('10.025', CHF, {}));
+        assert.throws(() => new Money('1', CHF, { rounding: 'coins' }), Error);
+    });
+
+    it('uses the cash increment of registered currencies', () => {
+        class CashMoney extends Money {}
+        CashMoney.registerCurrency({ code: 'EUR', fractionDigits: 2, cashIncrement: '0.05' });
+        CashMoney.registerCurrency({ code: 'CHF', fractionDigits: 2 });
+        assertMoneyEq(new CashMoney('10.05', EUR), new CashMoney('10.03', EUR).roundToCash());
+        assertMoneyEq(new CashMoney('10.05', CHF), new CashMoney('10.03', CHF).roundToCash());
+        assert.throws(() => CashMoney.registerCurrency({ code: 'FOO', fractionDigits: 2, cashIncrement: '0.001' }), RangeError);
+        assert.throws(() => CashMoney.registerCurrency({ code: 'FOO', fractionDigits: 2, cashIncrement: 'x' }), RangeError);
+    });
+});
+
+describe('taxes', () => {
+    const assertReconciles = (result) => {
+        assertMoneyEq(result.gross, result.net.add(result.tax));
+        result.lines.forEach(line => {
+            assertMoneyEq(line.gross, line.net.add(line.tax));
+            assertMoneyEq(line.tax, Money.sum(line.taxes.map(t => t.tax), line.tax.currency));
+        });
+        assertMoneyEq(result.tax, Money.sum(result.lines.map(line => line.tax)));
+        assertMoneyEq(result.tax, Money.sum(result.groups.map(group => group.tax)));
+    };
+
+    const addTaxTests = [
+        [['10.00', '1.90', '11.90'], m('10.00', EUR), '0.19', undefined],
+        [['0.13', '0.02', '0.15'], m('0.13', EUR), 0.19, undefined],
+        [['0.10', '0.01', '0.11'], m('0.10', EUR), '0.05', RoundingMode.halfUp],
+        [['0.10', '0.00', '0.10'], m('0.10', EUR), '0.05', RoundingMode.halfEven],
+        [['-10.00', '-1.90', '-11.90'], m('-10.00', EUR), '0.19', undefined],
+    ];
+    addTaxTests.forEach(test => {
+        const [[net, tax, gross], money, rate, roundingMode] = test;
+        it(`adds tax ${rate} to ${money}`, () => {
+            const result = money.addTax(rate, roundingMode);
+            assertMoneyEq(m(net, EUR), result.net);
+            assertMoneyEq(m(tax, EUR), result.tax);
+            assertMoneyEq(m(gross, EUR), result.gross);
+        });
+    });
+
+    const extractTaxTests = [
+        [['10.00', '1.90', '11.90'], m('11.90', EUR), '0.19'],
+        [['8.40', '1.60', '10.00'], m('10.00', EUR), '0.19'],
+        [['9.35', '0.65', '10.00'], m('10.00', EUR), '0.07'],
+        [['0.00', '0.00', '0.00'], m('0.00', EUR), '0.19'],
+    ];
+    extractTaxTests.forEach(test => {
+        const [[net, tax, gross], money, rate] = test;
+        it(`extracts tax ${rate} from ${money}`, () => {
+            const result = money.extractTax(rate);
+            assertMoneyEq(m(net, EUR), result.net);
+            assertMoneyEq(m(tax, EUR), result.tax);
+            assertMoneyEq(m(gross, EUR), result.gross);
+        });
+    });
+
+    it('supports compound taxes', () => {
+        const taxes = [{ name: 'GST', rate: '0.05' }, { name: 'QST', rate: '0.095', compound: true }];
+        const added = m('100.00', 'CAD').addTax(taxes);
+        assert.deepEqual(['CAD 5', 'CAD 9.98'], added.taxes.map(t => t.tax.toString()));
+        assertMoneyEq(m('114.98', 'CAD'), added.gross);
+        const extracted = m('114.98', 'CAD').extractTax(taxes);
+        assertMoneyEq(m('100.00', 'CAD'), extracted.net);
+        assert.deepEqual(['CAD 5', 'CAD 9.98'], extracted.taxes.map(t => t.tax.toString()));
+    });
+
+    describe('rounding policies', () => {
+        const lines = [
+            { amount: m('0.13', EUR), taxes: '0.19' },
+            { amount: m('0.13', EUR), taxes: '0.19' },
+            { amount: m('0.13', EUR), taxes: '0.19' },
+            { amount: m('0.10', EUR), taxes: { name: 'A', rate: '0.05' } },
+            { amount: m('0.10', EUR), taxes: { name: 'B', rate: '0.05' } },
+        ];
+        const tests = [
+            [TaxRounding.line, '0.08', ['0.06', '0.01', '0.01']],
+            [TaxRounding.group, '0.09', ['0.07', '0.01', '0.01']],
+            [TaxRounding.document, '0.08', ['0.07', '0.01', '0']],
+        ];
+        tests.forEach(test => {
+            const [rounding, tax, groupTaxes] = test;
+            it(`rounds per ${rounding}`, () => {
+                const result = new TaxCalculator({ rounding }).calculate(lines);
+                assertMoneyEq(m('0.59', EUR), result.net);
+                assertMoneyEq(m(tax, EUR), result.tax);
+                assert.deepEqual(['0.19', 'A', 'B'], result.groups.map(group => group.name));
+                assert.deepEqual(groupTaxes, result.groups.map(group => group.tax.toDecimalString()));
+                assertMoneyEq(m('0.39', EUR), result.groups[0].net);
+                assertReconciles(result);
+            });
+        });
+
+        it('reconciles tax-inclusive amounts', () => {
+            const inclusiveLines = lines.map(line => Object.assign({}, line, { amount: line.amount.mul(10) }));
+            [TaxRounding.line, TaxRounding.group, TaxRounding.document].forEach(rounding => {
+                const result = new TaxCalculator({ rounding, inclusive: true }).calculate(inclusiveLines);
+                assertMoneyEq(m('5.90', EUR), result.gross);
+                assertReconciles(result);
+            });
+        });
+    });
+
+    it('rejects invalid input', () => {
+        assert.throws(() => new TaxCalculator({ rounding: 'invoice' }), Error);
+        assert.throws(() => new TaxCalculator().calculate([]), RangeError);
+        assert.throws(() => new TaxCalculator().calculate([{ amount: m('1', EUR), taxes: '0.19' }, { amount: m('1', USD), taxes: '0.19' }]), Error);
+        assert.throws(() => new TaxCalculator().calculate([{ amount: m('1', EUR), taxes: { name: 'VAT', rate: '0.19' } }, { amount: m('1', EUR), taxes: { name: 'VAT', rate: '0.07' } }]), RangeError);
+        ['-0.19', 'abc', { name: '', rate: '0.19' }].forEach(taxes => {
+            assert.throws(() => m('1', EUR).addTax(taxes), RangeError);
+        });
+    });
+});
+
+describe('percentages', () => {
+    const tests = [
+        ['percent', m('15.00', EUR), m('100.00', EUR), 15, undefined],
+        ['percent', m('0.08', EUR), m('1.05', EUR), '7.5', RoundingMode.halfUp],
+        ['percent', m('0.07', EUR), m('1.05', EUR), '7.5', RoundingMode.down],
+        ['discount', m('85.00', EUR), m('100.00', EUR), 15, undefined],
+        ['discount', m('0.97', EUR), m('1.05', EUR), '7.5', RoundingMode.halfUp],
+        ['discount', m('0.98', EUR), m('1.05', EUR), '7.5', RoundingMode.down],
+        ['markup', m('107.50', EUR), m('100.00', EUR), '7.5', undefined],
+        ['markup', m('1.13', EUR), m('1.05', EUR), '7.5', RoundingMode.halfUp],
+        ['beforeDiscount', m('100.00', EUR), m('85.00', EUR), 15, undefined],
+        ['beforeDiscount', m('3.34', EUR), m('2.00', EUR), '40.1', RoundingMode.up],
+        ['beforeMarkup', m('100.00', EUR), m('107.50', EUR), '7.5', undefined],
+        ['beforeMarkup', m('0.97', EUR), m('1.00', EUR), 3, RoundingMode.floor],
+    ];
+    tests.forEach(test => {
+        const [op, expected, money, p, roundingMode] = test;
+        it(`${money} ${op} ${p} rounding ${roundingMode} = ${expected}`, () => {
+            assertMoneyEq(expected, money[op](p, roundingMode));
+        });
+    });
+
+    it('sums up the discount and the discounted price to the original price', () => {
+        const money = m('19.99', EUR);
+        [0, '12.5', 33, '66.67', 100].forEach(p => {
+            [RoundingMode.halfUp, RoundingMode.down, RoundingMode.up].forEach(roundingMode => {
+                assertMoneyEq(money, money.discount(p, roundingMode).add(money.percent(p, roundingMode)));
+            });
+        });
+    });
+
+    it('cannot reverse a discount of 100 percent', () => {
+        assert.throws(() => m('0', EUR).beforeDiscount(100), RangeError);
+        assert.throws(() => m('0', EUR).beforeMarkup(-100), RangeError);
+    });
+
+    it('returns percentOf as an exact decimal', () => {
+        assert.equal('7.5', m('7.50', EUR).percentOf(m('100', EUR)).toFixed());
+        assert.equal('250', m('2.50', EUR).percentOf(m('1', EUR)).toFixed());
+        assert.equal('-0.001', m('-0.01', EUR).percentOf(m('1000', EUR)).toFixed());
+        assert.throws(() => m('1', EUR).percentOf(m('1', USD)), Error);
+    });
+});
+
+describe('Loan', () => {
+    const principal = m('1000.00', EUR);
+    const assertSchedule = (expected, rows) => {
+        assert.deepEqual(expected, rows.map(row => [row.payment, row.interest, row.principal, row.balance].map(money => money.toDecimalString())));
+    };
+
+    it('creates an annuity schedule', () => {
+        const rows = new Loan({ principal, rate: '0.05', term: 1, frequency: PaymentFrequency.quarterly }).schedule();
+        assertSchedule([
+            ['257.86', '12.5', '245.36', '754.64'],
+            ['257.86', '9.43', '248.43', '506.21'],
+            ['257.86', '6.33', '251.53', '254.68'],
+            ['257.86', '3.18', '254.68', '0'],
+        ], rows);
+        assert.deepEqual([1, 2, 3, 4], rows.map(row => row.period));
+    });
+
+    it('computes well-known annuity payments', () => {
+        const rows = new Loan({ principal: m('300000', USD), rate: '0.065', term: 30 }).schedule();
+        assert.equal(360, rows.length);
+        assertMoneyEq(m('1896.20', USD), rows[0].payment);
+        assertMoneyEq(m('0', USD), rows[359].balance);
+    });
+
+    it('creates a linear schedule', () => {
+        const rows = new Loan({ principal, rate: '0.05', term: 1, frequency: 3, type: AmortizationType.linear }).schedule();
+        assertSchedule([
+            ['350', '16.67', '333.33', '666.67'],
+            ['344.44', '11.11', '333.33', '333.34'],
+            ['338.9', '5.56', '333.34', '0'],
+        ], rows);
+    });
+
+    it('creates an interest-only schedule', () => {
+        const rows = new Loan({ principal, rate: '0.06', term: 1, frequency: PaymentFrequency.semiannually, type: AmortizationType.interestOnly }).schedule();
+        assertSchedule([
+            ['30', '30', '0', '1000'],
+            ['1030', '30', '1000', '0'],
+        ], rows);
+    });
+
+    it('supports interest-free loans', () => {
+        const rows = new Loan({ principal, rate: 0, term: 1, frequency: 3 }).schedule();
+        assertSchedule([
+            ['333.33', '0', '333.33', '666.67'],
+            ['333.33', '0', '333.33', '333.34'],
+            ['333.34', '0', '333.34', '0'],
+        ], rows);
+    });
+
+    it('repays exactly the principal', () => {
+        [AmortizationType.annuity, AmortizationType.linear, AmortizationType.interestOnly].forEach(type => {
+            [RoundingMode.halfUp, RoundingMode.down, RoundingMode.up].forEach(roundingMode => {
+                const rows = new Loan({ principal: m('12345.67', EUR), rate: '0.0789', term: 2, type, roundingMode }).schedule();
+                assertMoneyEq(m('12345.67', EUR), Money.sum(rows.map(row => row.principal)));
+                rows.forEach(row => assertMoneyEq(row.payment, row.interest.add(row.principal)));
+                assertMoneyEq(m('0', EUR), rows[rows.length - 1].balance);
+            });
+        });
+    });
+
+    it('rejects invalid options', () => {
+        assert.throws(() => new Loan({ principal: '1000', rate: '0.05', term: 1 }), TypeError);
+        assert.throws(() => new Loan({ principal, rate: '-0.05', term: 1 }), RangeError);
+        assert.throws(() => new Loan({ principal, rate: '0.05', term: 0 }), RangeError);
+        assert.throws(() => new Loan({ principal, rate: '0.05', term: 0.1 }), RangeError);
+        assert.throws(() => new Loan({ principal, rate: '0.05', term: 1, frequency: 0 }), Error);
+        assert.throws(() => new Loan({ principal, rate: '0.05', term: 1, type: 'balloon' }), Error);
+    });
+});
+
+describe('Finance', () => {
+    const finance = new Finance();
+    const flows = ['-1000', '300', '400', '500'].map(amount => m(amount, EUR));
+    const datedFlows = [
+        ['-10000', '2008-01-01'],
+        ['2750', '2008-03-01'],
+        ['4250', '2008-10-30'],
+        ['3250', '2009-02-15'],
+        ['2750', '2009-04-01'],
+    ].map(([amount, date]) => ({ amount: m(amount, EUR), date }));
+
+    const valueTests = [
+        ['futureValue', m('1628.89', EUR), m('1000.00', EUR), '0.05', 10],
+        ['futureValue', m('1129.73', EUR), m('1000.00', EUR), '0.05', '2.5'],
+        ['futureValue', m('1000.00', EUR), m('1000.00', EUR), '0.05', 0],
+        ['presentValue', m('1000.00', EUR), m('1628.89', EUR), '0.05', 10],
+        ['presentValue', m('1050.00', EUR), m('1000.00', EUR), '0.05', -1],
+        ['presentValue', m('-884.74', EUR), m('-1000.00', EUR), '-0.04', '-3'],
+    ];
+    valueTests.forEach(test => {
+        const [op, expected, money, rate, periods] = test;
+        it(`${op} of ${money} at rate ${rate} for ${periods} periods = ${expected}`, () => {
+            assertMoneyEq(expected, finance[op](money, rate, periods));
+        });
+    });
+
+    it('computes the net present value', () => {
+        assertMoneyEq(m('-21.04', EUR), finance.npv('0.1', flows));
+        assertMoneyEq(m('200', EUR), finance.npv(0, flows));
+        assertMoneyEq(m('-21.03', EUR), new Finance({ roundingMode: RoundingMode.ceiling }).npv('0.1', flows));
+        assertMoneyEq(m('2086.65', EUR), finance.xnpv('0.09', datedFlows));
+    });
+
+    it('computes the internal rate of return', () => {
+        assert.equal('0.0889633947', finance.irr(flows).toFixed());
+        assert.equal('0.1583123952', finance.irr(['-100', '-100', '250'].map(amount => m(amount, EUR))).toFixed());
+        assert.equal('-0.6298437881', finance.irr(['-1000', '100', '100'].map(amount => m(amount, EUR))).toFixed());
+        assert.equal('0.08896', new Finance({ rateDecimalPlaces: 5 }).irr(flows).toFixed());
+    });
+
+    it('computes the internal rate of return of a long annuity', () => {
+        const annuity = [m('-1000000', USD), ..._.times(360, () => m('6000', USD))];
+        assert.equal('0.005005825', finance.irr(annuity).toFixed());
+        assert.equal('0.005005825', finance.irr(annuity, '0.01').toFixed());
+    });
+
+    it('computes the internal rate of return of dated cash flows', () => {
+        assert.equal('0.3733625335', finance.xirr(datedFlows).toFixed());
+        assert.equal('0.373363', new Finance({ precision: 12, rateDecimalPlaces: 6 }).xirr(datedFlows).toFixed());
+    });
+
+    it('throws if the rate does not converge', () => {
+        assert.throws(() => new Finance({ maxIterations: 2 }).irr(flows), RangeError);
+        assert.throws(() => finance.irr([m('1', EUR), m('2', EUR)]), RangeError);
+        assert.throws(() => finance.irr([m('-1', EUR), m('0', EUR)]), RangeError);
+    });
+
+    it('rejects invalid input', () => {
+        assert.throws(() => finance.npv('0.1', []), RangeError);
+        assert.throws(() => finance.npv('0.1', [m('-1', EUR), m('2', USD)]), Error);
+        assert.throws(() => finance.npv('-1', flows), RangeError);
+        assert.throws(() => finance.futureValue(m('1', EUR), 'x', 1), RangeError);
+        assert.throws(() => finance.xnpv('0.1', [{ amount: m('1', EUR), date: '2020' }]), RangeError);
+        assert.throws(() => new Finance({ precision: 0 }), Error);
+        assert.throws(() => new Finance({ precision: 5, rateDecimalPlaces: 10 }), Error);
+    });
+});
+
+describe('immutability', () => {
+    it('freezes money', () => {
+        const money = m('1.00', EUR);
+        assert.isFrozen(money);
+        assert.isFrozen(money.add(m('1.00', EUR)));
+        assert.isFrozen(Money.fromMinorUnits(100, EUR));
+        assert.throws(() => {
+            'use strict';
+            money.currency = USD;
+        }, TypeError);
+        assert.equal(EUR, money.currency);
+    });
+
+    it('returns a copy of the amount', () => {
+        const money = m('1.00', EUR);
+        const amount = money.amount;
+        amount.c[0] = 9;
+        assert.equal('1', money.toDecimalString());
+        assert.notStrictEqual(money.amount, money.amount);
+        assert.throws(() => {
+            'use strict';
+            money.amount = b(2);
+        }, TypeError);
+    });
+
+    it('validates money created from a Big', () => {
+        assertMoneyEq(m('1.23', EUR), Money.createFromBig(b('1.23'), 'eur'));
+        assert.throws(() => Money.createFromBig(b('1.001'), EUR), RangeError);
+        assert.throws(() => Money.createFromBig(b('1'), 'EURO'), RangeError);
+        assert.throws(() => Money.createFromBig('abc', EUR), RangeError);
+    });
+
+    it('keeps subclasses working', () => {
+        class SubMoney extends Money {}
+        const money = new SubMoney('1.005', EUR).add(new SubMoney('1', EUR)).mul(2);
+        assert.instanceOf(money, SubMoney);
+        assert.isFrozen(money);
+        assert.equal('4.02', money.toDecimalString());
+        assert.instanceOf(SubMoney.sum([money, money]), SubMoney);
+    });
+
+    it('does not let money be reinitialized', () => {
+        const money = m('10', EUR);
+        assert.isUndefined(Money.initialize);
+        assert.throws(() => Object.defineProperty(money, 'currency', { value: USD }), TypeError);
+        assertMoneyEq(m('10', EUR), money);
+        assert.equal(2, money.scale);
+    });
+
+    it('does not let unfrozen subclass instances change', () => {
+        class SubMoney extends Money {}
+        const money = new SubMoney('1.00', EUR);
+        assert.isNotFrozen(money);
+        assert.throws(() => {
+            'use strict';
+            money.currency = USD;
+        }, TypeError);
+        assert.throws(() => {
+            'use strict';
+            money.scale = 9;
+        }, TypeError);
+        assert.throws(() => {
+            'use strict';
+            money.amount = b(2);
+        }, TypeError);
+        assert.throws(() => Object.defineProperty(money, 'scale', { value: 9 }), TypeError);
+        assert.isFalse(Reflect.deleteProperty(money, 'currency'));
+        money.label = 'fee';
+        assert.equal('fee', money.label);
+        assertMoneyEq(m('1.00', EUR), money);
+        assert.deepEqual(['currency', 'scale', 'label'], Object.keys(money));
+    });
+
+    it('lets subclasses assign properties in their constructor', () => {
+        class LabeledMoney extends Money {
+            constructor(amount, currency, label) {
+                super(amount, currency);
+                this.label = label;
+                Object.freeze(this);
+            }
+        }
+        const money = new LabeledMoney('1.00', EUR, 'fee');
+        assert.equal('fee', money.label);
+        assert.isFrozen(money);
+        assert.isFrozen(money.add(money));
+        assert.isFrozen(new (Money.configure())('1.00', EUR));
+    });
+
+    it('keeps createUnchecked as a validating alias of createFromBig', () => {
+        assertMoneyEq(m('1.23', EUR), Money.createUnchecked(b('1.23'), 'eur'));
+        assert.isFrozen(Money.createUnchecked(b('1.23'), EUR));
+        assert.throws(() => Money.createUnchecked(b('1.001'), EUR), RangeError);
+    });
+});
+
+describe('configure', () => {
+    it('uses its own default rounding mode', () => {
+        const EvenMoney = Money.configure({ roundingMode: RoundingMode.halfEven });
+        assert.equal('0.12', new EvenMoney('0.125', EUR).toDecimalString());
+        assert.equal('0.13', new Money('0.125', EUR).toDecimalString());
+        assert.equal('0.12', new EvenMoney('0.25', EUR).mul('0.5').toDecimalString());
+        const OddMoney = Money.configure({ roundingMode: RoundingMode.halfOdd });
+        assert.equal('0.13', new OddMoney('0.125', EUR).toDecimalString());
+    });
+
+    it('is not affected by changes to the global Big', () => {
+        const IsolatedMoney = Money.configure();
+        const rm = Big.RM;
+        try {
+            Big.RM = RoundingMode.down;
+            assert.equal('0.13', new IsolatedMoney('0.125', EUR).toDecimalString());
+            assert.equal('0.12', new Money('0.125', EUR).toDecimalString());
+        } finally {
+            Big.RM = rm;
+        }
+        assert.notStrictEqual(Big, IsolatedMoney.Big);
+    });
+
+    it('converts with exchange rates that are not affected by changes to the global Big', () => {
+        const IsolatedMoney = Money.configure();
+        const rates = new ExchangeRates({ Money: IsolatedMoney }).set(EUR, USD, '1.5');
+        const rm = Big.RM;
+        try {
+            Big.RM = RoundingMode.down;
+            assert.equal('0.66666666666666666667', rates.get(USD, EUR).rate.toFixed());
+            assertMoneyEq(new IsolatedMoney('0.67', EUR), new IsolatedMoney('1.00', USD).convert(EUR, rates));
+            assertMoneyEq(new IsolatedMoney('66.67', EUR), new IsolatedMoney('100.00', USD).convert(EUR, rates));
+        } finally {
+            Big.RM = rm;
+        }
+    });
+
+    it('uses the given Big constructor', () => {
+        const CustomBig = Big();
+        CustomBig.DP = 40;
+        const CustomMoney = Money.configure({ Big: CustomBig });
+        assert.strictEqual(CustomBig, CustomMoney.Big);
+        assert.equal(22, m('1', EUR).ratioOf(m('3', EUR)).toFixed().length);
+        assert.equal(42, new CustomMoney('1', EUR).ratioOf(new CustomMoney('3', EUR)).toFixed().length);
+    });
+
+    it('has its own currencies and cache', () => {
+        Money.registerCurrency({ code: 'SHARED', fractionDigits: 1 });
+        const PointsMoney = Money.configure({ currencies: [{ code: 'POINTS', fractionDigits: 0, symbol: 'pts' }] });
+        Money.registerCurrency({ code: 'LATER', fractionDigits: 1 });
+        assert.equal('POINTS 2', new PointsMoney('1.5', 'points').toString());
+        assert.equal('SHARED 1.5', new PointsMoney('1.5', 'SHARED').toString());
+        assert.throws(() => new Money('1', 'POINTS'), RangeError);
+        assert.throws(() => new PointsMoney('1', 'LATER'), RangeError);
+        assert.notStrictEqual(Money.currencyRegistry.numberFormats, PointsMoney.currencyRegistry.numberFormats);
+        assert.instanceOf(new PointsMoney('1', EUR), Money);
+    });
+
+    it('uses the imprecision formatter', () => {
+        const ApproxMoney = Money.configure({ imprecisionFormatter: (formatted, locale) => `${locale}: about ${formatted}` });
+        const formatted = new ApproxMoney('12341234123412341234.12', EUR).toLocaleString('en-US', { precisionHandling: PrecisionHandling.show_imprecision });
+        assert.equal('en-US: about €12,341,234,123,412,340,000.00', formatted);
+    });
+
+    it('rejects invalid options', () => {
+        assert.throws(() => Money.configure({ roundingMode: 'halfUp' }), Error);
+        assert.throws(() => Money.configure({ imprecisionFormatter: 'x' }), Error);
+        assert.throws(() => Money.configure({ currencies: [{ code: 'X', fractionDigits: -1 }] }), RangeError);
+    });
+});
+
+describe('scale', () => {
+    const precise = (amount, scale) => new Money(amount, USD, { scale });
+
+    it('keeps extra fraction digits', () => {
+        const money = precise('0.003456', 5);
+        assert.equal(5, money.scale);
+        assert.equal('0.00346', money.toDecimalString());
+        assert.equal(2, m('1', USD).scale);
+        assert.equal(0, m('1', 'JPY').scale);
+        assert.equal(5, Money.createFromBig(b('0.00345'), USD, 5).scale);
+    });
+
+    const opTests = [
+        [precise('3.45', 5), precise('0.00345', 5), 'mul', 1000],
+        [precise('0.00115', 5), precise('0.00345', 5), 'div', 3],
+        [precise('0.00034', 5), precise('0.00345', 5), 'div', 10, RoundingMode.down],
+        [precise('0.0069', 5), precise('0.00345', 5), 'add', precise('0.00345', 5)],
+        [precise('0', 5), precise('0.00345', 5), 'sub', precise('0.00345', 5)],
+    ];
+    opTests.forEach(test => {
+        const [expected, money, op, operand, roundingMode] = test;
+        it(`${money} ${op} ${operand} = ${expected}`, () => {
+            const result = money[op](operand, roundingMode);
+            assertMoneyEq(expected, result);
+            assert.equal(expected.scale, result.scale);
+        });
+    });
+
+    it('rounds to the currency precision', () => {
+        const money = precise('1.234', 3);
+        assertMoneyEq(m('1.23', USD), money.toCurrencyPrecision());
+        assertMoneyEq(m('1.24', USD), money.toCurrencyPrecision(RoundingMode.up));
+        assert.equal(2, money.toCurrencyPrecision().scale);
+    });
+
+    it('refuses to mix scales', () => {
+        assert.throws(() => precise('1', 3).add(m('1', USD)), ScaleMismatchError);
+        assert.throws(() => m('1', USD).sub(precise('1', 3)), ScaleMismatchError);
+        assert.throws(() => Money.sum([precise('1', 3), m('1', USD)]), ScaleMismatchError);
+        assert.doesNotThrow(() => precise('1', 3).eq(m('1', USD)));
+    });
+
+    it('keeps the scale in JSON', () => {
+        const money = precise('0.00345', 5);
+        assert.equal('{"amount":"0.00345","currency":"USD","scale":5}', JSON.stringify(money));
+        assert.equal('{"minorUnits":150000,"currency":"USD","scale":5}', JSON.stringify(precise('1.5', 5).toJSONObject(JsonFormat.minorUnits)));
+        assert.equal('{"amount":"1.5","currency":"USD"}', JSON.stringify(precise('1.5', 2)));
+        [money, precise('1.5', 5)].forEach(expected => {
+            const revived = Money.fromJSON(JSON.parse(JSON.stringify(expected)));
+            assertMoneyEq(expected, revived);
+            assert.equal(5, revived.scale);
+            assert.equal(5, JSON.parse(JSON.stringify({ expected }), Money.reviver).expected.scale);
+        });
+        assert.equal(5, Money.fromJSON(precise('1.5', 5).toJSONObject(JsonFormat.minorUnits)).scale);
+        assert.throws(() => Money.fromJSON({ amount: '0.000001', currency: USD, scale: 5 }), InvalidAmountError);
+        assert.throws(() => Money.fromJSON({ amount: '1', currency: USD, scale: 1 }), RangeError);
+    });
+
+    it('counts minor units at the scale in JSON', () => {
+        const money = new Money('1.005', EUR, { scale: 3 });
+        const json = money.toJSONObject(JsonFormat.minorUnits);
+        assert.deepEqual({ minorUnits: 1005, currency: EUR, scale: 3 }, json);
+        const revived = Money.fromJSON(JSON.parse(JSON.stringify(json)));
+        assertMoneyEq(money, revived);
+        assert.equal(3, revived.scale);
+        assertMoneyEq(precise('0.00345', 5), Money.fromJSON({ minorUnits: 345, currency: USD, scale: 5 }));
+        assertMoneyEq(precise('-1.5', 5), Money.fromJSON({ minorUnits: BigInt(-150000), currency: USD, scale: 5 }));
+        assert.throws(() => Money.fromJSON({ minorUnits: 1.5, currency: USD, scale: 5 }), InvalidAmountError);
+        assert.throws(() => Money.fromJSON({ minorUnits: 15, currency: USD, scale: 1 }), RangeError);
+    });
+
+    it('applies to collections and allocation', () => {
+        const list = [precise('0.001', 3), precise('0.002', 3), precise('0.004', 3)];
+        assert.equal('0.007', Money.sum(list).toDecimalString());
+        assert.equal('0.002', Money.average(list).toDecimalString());
+        assert.equal('0.003', Money.percentile(list, 75).toDecimalString());
+        assert.deepEqual(['0.004', '0.003', '0.003'], precise('0.01', 3).split(3).map(money => money.toDecimalString()));
+    });
+
+    it('formats the extra fraction digits', () => {
+        assert.equal('$0.00345', precise('0.00345', 5).toLocaleString('en'));
+        assert.equal('$3.45', precise('3.45', 5).toLocaleString('en'));
+        assert.equal('$0.0035', precise('0.00345', 5).toLocaleString('en', { maximumFractionDigits: 4 }));
+    });
+
+    it('rejects invalid scales', () => {
+        [1, -1, 2.5, '3', null].forEach(scale => {
+            assert.throws(() => precise('1', scale), RangeError);
+        });
+        assert.throws(() => Money.createFromBig(b('0.001'), USD), RangeError);
+        assert.throws(() => Money.createFromBig(b('0.0001'), USD, 3), RangeError);
+    });
+});
+
+describe('ISO 4217', () => {
+    it('lists current currencies', () => {
+        const currencies = Money.currencies();
+        const codes = currencies.map(info => info.code);
+        assert.includeMembers(codes, [EUR, USD, IQD, 'XAU', 'ZWG']);
+        assert.notInclude(codes, 'DEM');
+        assert.deepEqual(codes.slice().sort(), codes);
+        assert.isTrue(currencies.every(info => info.withdrawn === null));
+        assert.include(Money.currencies({ withdrawn: true }).map(info => info.code), 'DEM');
+    });
+
+    it('returns information about a currency', () => {
+        assert.deepEqual({ code: 'EUR', numericCode: '978', minorUnits: 2, name: 'Euro', withdrawn: null }, Money.currencyInfo('eur'));
+        assert.deepEqual({ code: 'ALL', numericCode: '008', minorUnits: 2, name: 'Lek', withdrawn: null }, Money.currencyInfo('ALL'));
+        assert.equal(3, Money.currencyInfo(IQD).minorUnits);
+        assert.equal(null, Money.currencyInfo('XAU').minorUnits);
+        assert.equal('2002-03', Money.currencyInfo('DEM').withdrawn);
+        assert.equal(undefined, Money.currencyInfo('ABC'));
+        assert.equal(undefined, Money.currencyInfo(null));
+        assert.isFrozen(Money.currencyInfo(USD));
+    });
+
+    describe('strict mode', () => {
+        const StrictMoney = Money.configure({ strict: true });
+
+        it('uses the minor units of ISO 4217', () => {
+            assert.equal('1.235', new StrictMoney('1.2345', IQD).toDecimalString());
+            assert.equal('1', new Money('1.2345', IQD).toDecimalString());
+            assert.equal('1.5', new StrictMoney('1.5', 'XAU').toDecimalString());
+            assert.equal('IQD 1.235', new StrictMoney('1.2345', IQD).toLocaleString('en'));
+            assert.equal('IQD 1.235', StrictMoney.fromJSON({ amount: '1.235', currency: 'iqd' }).toString());
+        });
+
+        it('rejects unknown and withdrawn currencies', () => {
+            ['ABC', 'DEM', 'EURO', '', null].forEach(currency => {
+                assert.throws(() => new StrictMoney('1', currency), RangeError);
+            });
+            assert.doesNotThrow(() => new Money('1', 'ABC'));
+            assert.throws(() => new ExchangeRates({ Money: StrictMoney }).set(EUR, 'ABC', 1), RangeError);
+        });
+
+        it('accepts registered currencies and applies to subclasses', () => {
+            class PointsMoney extends StrictMoney {}
+            assert.throws(() => new PointsMoney('1', 'PTS'), RangeError);
+            PointsMoney.registerCurrency({ code: 'PTS', fractionDigits: 0 });
+            assert.equal('PTS 2', new PointsMoney('1.5', 'PTS').toString());
+            assert.equal('IQD 1.235', new PointsMoney('1.2345', IQD).toString());
+            assert.equal('IQD 1.235', new (StrictMoney.configure())('1.2345', IQD).toString());
+            assert.equal('IQD 1', new (StrictMoney.configure({ strict: false }))('1.2345', IQD).toString());
+        });
+    });
+});
+
+describe('errors', () => {
+    it('throws CurrencyMismatchError', () => {
+        const a = m('1', EUR);
+        const b = m('2', USD);
+        const tests = [
+            ['plus', () => a.add(b), [a, b]],
+            ['cmp', () => a.cmp(b), [a, b]],
+            ['ratioOf', () => a.ratioOf(b), [a, b]],
+            ['sum', () => Money.sum([a, b]), [b]],
+        ];
+        tests.forEach(([operation, fn, operands]) => {
+            const error = assertThrowsError(fn, CurrencyMismatchError);
+            assert.instanceOf(error, Error);
+            assert.equal('CURRENCY_MISMATCH', error.code);
+            assert.equal(operation, error.operation);
+            assert.deepEqual([EUR, USD], error.currencies);
+            assert.deepEqual(operands, error.operands);
+        });
+    });
+
+    it('throws InvalidAmountError', () => {
+        ['abc', {}, '1e', '1.2.3'].forEach(amount => {
+            const error = assertThrowsError(() => new Money(amount, EUR), InvalidAmountError);
+            assert.instanceOf(error, RangeError);
+            assert.equal('INVALID_AMOUNT', error.code);
+            assert.strictEqual(amount, error.amount);
+        });
+        assert.equal('1.5', assertThrowsError(() => Money.fromMinorUnits('1.5', EUR), InvalidAmountError).amount);
+        assert.equal('abc', assertThrowsError(() => m('1', EUR).mul('abc'), InvalidAmountError).amount);
+        assert.equal('EUR', assertThrowsError(() => Money.parse('EUR'), InvalidAmountError).amount);
+        assert.equal('$5.', assertThrowsError(() => Money.parse('$5.', { currency: USD }), InvalidAmountError).amount);
+        assert.equal('0.001', assertThrowsError(() => new Money('0.001', USD, { scale: 3 }).toMinorUnits(), InvalidAmountError).amount.toFixed());
+        assert.equal('x', assertThrowsError(() => m('1', EUR).convertCurrency(USD, 'x'), InvalidAmountError).amount);
+        assert.equal(101, assertThrowsError(() => Money.percentile([m('1', EUR)], 101), InvalidAmountError).amount);
+        assert.equal(-1, assertThrowsError(() => m('1', EUR).allocate([1, -1]), InvalidAmountError).amount);
+        assert.equal('abc', assertThrowsError(() => new ExchangeRates().set(EUR, USD, 'abc'), InvalidAmountError).amount);
+        assert.equal(0, assertThrowsError(() => new ExchangeRates().set(EUR, USD, 0), InvalidAmountError).amount);
+        assert.equal(-1, assertThrowsError(() => m('1', EUR).addTax(-1), InvalidAmountError).amount);
+        assert.equal('x', assertThrowsError(() => new Finance().npv('x', [m('1', EUR)]), InvalidAmountError).amount);
+    });
+
+    it('throws InvalidCurrencyError', () => {
+        const tests = [
+            [() => new Money('1', 'EURO'), 'EURO'],
+            [() => new Money('1', null), null],
+            [() => Money.registerCurrency({ code: '', fractionDigits: 0 }), ''],
+            [() => new (Money.configure({ strict: true }))('1', 'DEM'), 'DEM'],
+            [() => Money.parse('US$ 1', { locale: 'en', currency: EUR }), 'US$'],
+            [() => new ExchangeRates().set(EUR, 'eur', 1), EUR],
+        ];
+        tests.forEach(([fn, currency]) => {
+            const error = assertThrowsError(fn, InvalidCurrencyError);
+            assert.instanceOf(error, RangeError);
+            assert.equal('INVALID_CURRENCY', error.code);
+            assert.strictEqual(currency, error.currency);
+        });
+    });
+
+    it('throws UnsafeNumberError', () => {
+        const money = m('90071992547409.93', EUR);
+        [() => money.toSafeNumber(), () => money.toJSONObject(JsonFormat.minorUnits)].forEach(fn => {
+            const error = assertThrowsError(fn, UnsafeNumberError);
+            assert.instanceOf(error, RangeError);
+            assert.equal('UNSAFE_NUMBER', error.code);
+            assert.strictEqual(money, error.money);
+        });
+    });
+
+    it('throws DivisionByZeroError', () => {
+        const a = m('10', EUR);
+        const zero = m('0', EUR);
+        const tests = [
+            ['div', () => a.div(0), 0],
+            ['div', () => a.div('0.00'), '0.00'],
+            ['mod', () => a.mod(zero), zero],
+            ['ratioOf', () => a.ratioOf(zero), zero],
+            ['percentOf', () => a.percentOf(zero), zero],
+        ];
+        tests.forEach(([operation, fn, divisor]) => {
+            const error = assertThrowsError(fn, DivisionByZeroError);
+            assert.instanceOf(error, RangeError);
+            assert.equal('DIVISION_BY_ZERO', error.code);
+            assert.equal(operation, error.operation);
+            assert.strictEqual(a, error.dividend);
+            assert.strictEqual(divisor, error.divisor);
+        });
+    });
+
+    it('throws InvalidOptionError', () => {
+        const tests = [
+            ['precisionHandling', 'foo', () => m('1', EUR).toLocaleString('en', { precisionHandling: 'foo' })],
+            ['currency', USD, () => m('1', EUR).toLocaleString('en', { currency: USD })],
+            ['mode', 'foo', () => m('1', EUR).allocate([1], { mode: 'foo' })],
+            ['format', 'foo', () => m('1', EUR).toJSONObject('foo')],
+            ['profile', 'foo', () => m('1', EUR).toMinorUnits('foo')],
+            ['maxIterations', 0, () => new Finance({ maxIterations: 0 })],
+        ];
+        tests.forEach(([option, value, fn]) => {
+            const error = assertThrowsError(fn, InvalidOptionError);
+            assert.instanceOf(error, RangeError);
+            assert.equal('INVALID_OPTION', error.code);
+            assert.equal(option, error.option);
+            assert.strictEqual(value, error.value);
+        });
+    });
+
+    it('throws typed errors from every operation', () => {
+        const rates = new ExchangeRates().set(EUR, USD, '1.1');
+        const tests = [
+            ['INVALID_OPTION', () => new Money('1', 'CHF', { rounding: CurrencyRounding.cash, roundingMode: 99 })],
+            ['INVALID_OPTION', () => new Money('1', EUR, { scale: 1 })],
+            ['INVALID_OPTION', () => Money.configure().registerCurrency({ code: 'PTS', fractionDigits: -1 })],
+            ['INVALID_OPTION', () => Money.configure().registerCurrency({ code: 'PTS', fractionDigits: 0, symbol: '' })],
+            ['INVALID_OPTION', () => Money.configure().registerCurrency({ code: 'PTS', fractionDigits: 0, name: 1 })],
+            ['INVALID_CURRENCY', () => Money.sum([])],
+            ['INVALID_AMOUNT', () => Money.min([])],
+            ['INVALID_AMOUNT', () => m('1', EUR).allocate([])],
+            ['INVALID_AMOUNT', () => m('1', EUR).allocate([0, 0])],
+            ['INVALID_CURRENCY', () => rates.get(EUR, 'CHF')],
+            ['INVALID_OPTION', () => rates.set(EUR, 'CHF', 1, '2021-02-29')],
+            ['INVALID_OPTION', () => m('1', EUR).toIso20022('<Amt>')],
+            ['INVALID_OPTION', () => m('1', EUR).toWords('xx')],
+            ['INVALID_OPTION', () => Money.registerWordsLanguage('', {})],
+        ];
+        tests.forEach(([code, fn]) => {
+            const error = assert.throws(fn, MoneyError);
+            assert.equal(code, error.code);
+        });
+        assert.notInstanceOf(new RangeError('x'), MoneyError);
+        assert.notInstanceOf(null, MoneyError);
+        assert.instanceOf(new MoneyError('x'), MoneyError);
+    });
+
+    it('throws ScaleMismatchError', () => {
+        const a = m('1', USD);
+        const b = new Money('1', USD, { scale: 3 });
+        const tests = [
+            ['plus', () => a.add(b), [a, b]],
+            ['sum', () => Money.sum([a, b]), [a, b]],
+        ];
+        tests.forEach(([operation, fn, operands]) => {
+            const error = assertThrowsError(fn, ScaleMismatchError);
+            assert.notInstanceOf(error, RangeError);
+            assert.equal('SCALE_MISMATCH', error.code);
+            assert.equal(operation, error.operation);
+            assert.deepEqual([2, 3], error.scales);
+            assert.deepEqual(operands, error.operands);
+        });
+    });
+});
+
+function assertThrowsError(fn, errorClass) {
+    try {
+        fn();
+    } catch (e) {
+        assert.instanceOf(e, errorClass);
+        assert.equal(errorClass.name, e.name);
+        return e;
+    }
+    assert.fail(`Expected ${errorClass.name} to be thrown.`);
+}
+
+describe('formatToParts', () => {
+    it('formats parts like Intl.NumberFormat', () => {
+        const tests = [
+            [m('1234.5', USD), 'en', {}],
+            [m('-1234.5', USD), 'en', { currencySign: 'accounting' }],
+            [m('1234.5', EUR), 'de-DE', { currencyDisplay: 'code' }],
+            [m('1234.5', EUR), 'en', { currencyDisplay: 'name' }],
+            [m('1234567.89', USD), 'en', { notation: 'compact' }],
+            [m('-999999.99', USD), 'en', { notation: 'compact', currencySign: 'accounting' }],
+            [m('123456789', 'JPY'), 'ja', { notation: 'compact' }],
+            [m('123456789', 'INR'), 'en-IN', { notation: 'compact', compactDisplay: 'long' }],
+            [m('1234567', EUR), 'en', { style: 'unit', unit: 'kilogram', notation: 'compact' }],
+            [m('-1234567', EUR), 'de', { style: 'unit', unit: 'liter', unitDisplay: 'long', notation: 'compact', compactDisplay: 'long' }],
+            [m('10.00', EUR), 'en', { trailingZeroDisplay: 'stripIfInteger' }],
+            [m('10.50', EUR), 'en', { trailingZeroDisplay: 'stripIfInteger' }],
+        ];
+        tests.forEach(([money, locale, options]) => {
+            const expected = new Intl.NumberFormat(locale, Object.assign({ style: 'currency', currency: money.currency }, options))
+                .formatToParts(money.toSafeNumber());
+            assert.deepEqual(expected, money.formatToParts(locale, options), `${money} ${JSON.stringify(options)}`);
+            assert.equal(money.toLocaleString(locale, options), money.formatToParts(locale, options).map(part => part.value).join(''));
+        });
+    });
+
+    it('formats exactly', () => {
+        const money = m('12341234123412341234.12', EUR);
+        assert.deepEqual([
+            { type: 'currency', value: '€' },
+            { type: 'integer', value: '12' },
+            { type: 'group', value: ',' },
+            { type: 'integer', value: '341' },
+            { type: 'group', value: ',' },
+            { type: 'integer', value: '234' },
+            { type: 'compact', value: 'T' },
+        ], money.formatToParts('en', { notation: 'compact' }));
+        assert.equal('€12,341,234T', money.toLocaleString('en', { notation: 'compact' }));
+        assert.equal('€12,341,234,123,412,341,234.12', money.formatToParts('en').map(part => part.value).join(''));
+    });
+
+    it('shows dropped precision', () => {
+        const options = { notation: 'compact', precisionHandling: PrecisionHandling.show_imprecision };
+        assert.deepEqual([
+            { type: 'approximatelySign', value: '~' },
+            { type: 'literal', value: '\u00A0' },
+            { type: 'currency', value: '$' },
+            { type: 'integer', value: '1' },
+            { type: 'decimal', value: '.' },
+            { type: 'fraction', value: '2' },
+            { type: 'compact', value: 'M' },
+        ], m('1234567.89', USD).formatToParts('en', options));
+        assert.equal('$1.2M', m('1200000', USD).toLocaleString('en', options));
+        assert.equal('~\u00A0$1.2M', m('1234567.89', USD).toLocaleString('en', options));
+        assert.equal('~\u00A0€12,341,234,123,412,340,000.00', m('12341234123412341234.12', EUR).formatToParts('en', { precisionHandling: PrecisionHandling.show_imprecision }).map(part => part.value).join(''));
+        assert.throws(() => m('12341234123412341234.12', EUR).formatToParts('en', { notation: 'scientific' }), RangeError);
+        assert.throws(() => m('1', EUR).formatToParts('en', { currency: USD }));
+    });
+});
+
+describe('toWords', () => {
+    const tests = [
+        ['One thousand two hundred thirty-four euros and fifty-six cents', m('1234.56', EUR), 'en'],
+        ['One thousand two hundred thirty-four euros and 56 cents', m('1234.56', EUR), 'en', { style: WordsStyle.digits }],
+        ['One thousand two hundred thirty-four and 56/100 dollars', m('1234.56', USD), 'en-US', { style: WordsStyle.cheque }],
+        ['One euro and one cent', m('1.01', EUR), 'en'],
+        ['Fifty-six cents', m('0.56', EUR), 'en'],
+        ['Zero euros', m('0', EUR), 'en'],
+        ['Minus twenty-one pounds and fifty pence', m('-21.5', 'GBP'), 'en'],
+        ['One hundred thousand one hundred dollars', m('100100', USD), 'en'],
+        ['Twelve and 345/1000 Bahraini dinars', m('12.345', 'BHD'), 'en'],
+        ['Five and 50/100 Australian dollars', m('5.5', 'AUD'), 'en'],
+        ['Zwölfhundertvierunddreißig Euro', m('1234', EUR), 'de'],
+        ['Zwölfhundertvierunddreißig Euro und sechsundfünfzig Cent', m('1234.56', EUR), 'de-DE'],
+        ['Zwölfhundertvierunddreißig und 56/100 Euro', m('1234.56', EUR), 'de', { style: WordsStyle.cheque }],
+        ['Ein Euro', m('1', EUR), 'de'],
+        ['Einhunderteinundsiebzigtausend Euro', m('171000', EUR), 'de'],
+        ['Eine Million eintausendzweihundertvierunddreißig Euro', m('1001234', EUR), 'de'],
+        ['Einhundertdreiundzwanzig Milliarden vierhundertsechsundfünfzig Millionen siebenhundertneunundachtzigtausendzwölf Euro', m('123456789012', EUR), 'de'],
+    ];
+    tests.forEach(([expected, money, locale, options]) => {
+        it(`writes ${money} as '${expected}'`, () => {
+            assert.equal(expected, money.toWords(locale, options));
+        });
+    });
+
+    it('writes amounts beyond the Number range exactly', () => {
+        const money = m('1' + '0'.repeat(69) + '7.01', EUR);
+        assert.equal('Ten million vigintillion seven euros and one cent', money.toWords('en'));
+        assert.equal('Zehn Millionen Dezilliarden sieben Euro und ein Cent', money.toWords('de'));
+        assert.equal('Nine hundred ninety-nine vigintillion nine hundred ninety-nine novemdecillion euros', m('999999' + '0'.repeat(60), EUR).toWords('en'));
+    });
+
+    it('uses registered languages and currencies', () => {
+        const language = {
+            integer: digits => `#${digits}`,
+            currencies: { EUR: { major: ['E', 'Es'], minor: ['C', 'Cs'] } },
+        };
+        assert.equal('#2 Es and #1 C', m('2.01', EUR).toWords(undefined, { language }));
+        Money.registerWordsLanguage('x-test', language);
+        assert.equal('Minus #1 E', m('-1', EUR).toWords('x-test'));
+        assert.equal('#1 USD', new (Money.configure().registerCurrency({ code: USD, fractionDigits: 0, name: 'USD' }))('1', USD).toWords('x-test'));
+        assert.throws(() => m('1', EUR).toWords('fr'), RangeError);
+        assert.throws(() => m('1', EUR).toWords('en', { style: 'roman' }), /Invalid value for option style/);
+        assert.throws(() => Money.registerWordsLanguage('x-invalid', {}), TypeError);
+    });
+
+    it('writes the extra fraction digits of a larger scale as a fraction', () => {
+        assert.equal('One and 005/1000 euros', new Money('1.005', EUR, { scale: 3 }).toWords('en'));
+        assert.equal('One euro and fifty cents', new Money('1.5', EUR, { scale: 3 }).toWords('en'));
+        assert.equal('Minus zwei und 00012/100000 Euro', new Money('-2.00012', EUR, { scale: 5 }).toWords('de'));
+    });
+});
+
+describe('banking formats', () => {
+    describe('ISO 20022', () => {
+        const tests = [
+            ['<InstdAmt Ccy="EUR">1234.56</InstdAmt>', m('1234.56', EUR)],
+            ['<InstdAmt Ccy="EUR">1234.50</InstdAmt>', m('1234.5', EUR)],
+            ['<InstdAmt Ccy="JPY">1234</InstdAmt>', m('1234', 'JPY')],
+            ['<InstdAmt Ccy="BHD">0.005</InstdAmt>', m('0.005', 'BHD')],
+            ['<InstdAmt Ccy="EUR">9999999999999999.99</InstdAmt>', m('9999999999999999.99', EUR)],
+        ];
+        tests.forEach(([xml, money]) => {
+            it(`encodes ${money} as ${xml}`, () => {
+                assert.equal(xml, money.toIso20022());
+                assertMoneyEq(money, Money.fromIso20022(xml));
+            });
+        });
+
+        it('encodes with element names and digit limits', () => {
+            assert.equal('<ns:Amt Ccy="USD">1.00</ns:Amt>', m('1', USD).toIso20022('ns:Amt'));
+            assert.equal('1.23', m('1.230', 'BHD').toIso20022Amount({ fractionDigits: 2 }));
+            assert.equal('1', m('1', EUR).toIso20022Amount({ fractionDigits: 0 }));
+            assertMoneyEq(m('12', USD), Money.fromIso20022(' <ns:Amt Ccy=\'USD\'> 12 </ns:Amt> '));
+        });
+
+        it('rejects amounts that do not fit', () => {
+            assert.throws(() => m('1000000000000000000', EUR).toIso20022(), InvalidAmountError, /18 total/);
+            assert.throws(() => m('1.5', EUR).toIso20022Amount({ fractionDigits: 0 }), InvalidAmountError);
+            assert.throws(() => m('-1', EUR).toIso20022(), InvalidAmountError, /negative/);
+            const error = assertThrowsError(() => new Money('0.001', EUR, { scale: 3 }).toIso20022(), InvalidAmountError);
+            assert.equal('INVALID_AMOUNT', error.code);
+            assert.equal('0.001', error.amount.toString());
+            assert.throws(() => m('1', EUR).toIso20022('<Amt>'), /Invalid ISO 20022 element name/);
+            assert.throws(() => m('1', EUR).toIso20022Amount({ totalDigits: 0 }), /Invalid value for option totalDigits/);
+            ['1,23', '-1', '1e3', '.5', ''].forEach(amount => {
+                assert.throws(() => Money.fromIso20022Amount(amount, EUR), InvalidAmountError);
+            });
+            assert.throws(() => Money.fromIso20022Amount('1000000000000000000', EUR), InvalidAmountError);
+            assert.throws(() => Money.fromIso20022('<Amt Ccy="EUR">1.234</Amt>'), InvalidAmountError);
+            assert.throws(() => Money.fromIso20022('<Amt Ccy="EURO">1</Amt>'), InvalidCurrencyError);
+            assert.throws(() => Money.fromIso20022('<Amt Ccy="EUR">1.23</Bmt>'), TypeError);
+        });
+    });
+
+    describe('SWIFT', () => {
+        const tests = [
+            ['EUR1234,56', m('1234.56', EUR)],
+            ['EUR1234,50', m('1234.5', EUR)],
+            ['JPY1234,', m('1234', 'JPY')],
+            ['EUR0,01', m('0.01', EUR)],
+            ['EUR123456789012,34', m('123456789012.34', EUR)],
+        ];
+        tests.forEach(([swift, money]) => {
+            it(`encodes ${money} as ${swift}`, () => {
+                assert.equal(swift, money.toSwift());
+                assertMoneyEq(money, Money.fromSwift(swift));
+            });
+        });
+
+        it('decodes amounts without padding', () => {
+            assertMoneyEq(m('1234.5', EUR), Money.fromSwift('EUR1234,5'));
+            assertMoneyEq(m('1234', EUR), Money.fromSwiftAmount('1234,', EUR));
+            assertMoneyEq(m('7', 'JPY'), Money.fromSwiftAmount('0007,', 'JPY'));
+        });
+
+        it('rejects amounts that do not fit', () => {
+            assert.throws(() => m('1234567890123.4', EUR).toSwiftAmount(), InvalidAmountError, /exceeds 15 characters/);
+            const error = assertThrowsError(() => m('-1', EUR).toSwift(), InvalidAmountError);
+            assert.equal('INVALID_AMOUNT', error.code);
+            assert.match(error.message, /negative/);
+            ['1234', '1.234,56', ',5', '1234567890123,45', '-1,0', '1,2,3'].forEach(amount => {
+                assert.throws(() => Money.fromSwiftAmount(amount, EUR), InvalidAmountError);
+            });
+            assert.throws(() => Money.fromSwiftAmount('1,234', EUR), InvalidAmountError);
+            assert.throws(() => Money.fromSwift('eur1,00'), InvalidAmountError);
+            const PointsMoney = Money.configure().registerCurrency({ code: 'POINTS', fractionDigits: 0 });
+            assert.throws(() => new PointsMoney('1', 'POINTS').toSwift(), InvalidCurrencyError);
+        });
+    });
+});
+
+describe('BankStatement', () => {
+    const camt053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <GrpHdr><MsgId>MSG-1</MsgId><CreDtTm>2023-06-30T18:00:00</CreDtTm></GrpHdr>
+    <Stmt>
+      <Id>STMT-2023-06</Id>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2023-06-01</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">1139.89</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2023-06-30</Dt></Dt>
+      </Bal>
+      <Ntry>
+        <Amt Ccy="EUR">250.10</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2023-06-02</Dt></BookgDt><ValDt><Dt>2023-06-03</Dt></ValDt>
+        <AcctSvcrRef>BANK-1</AcctSvcrRef>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>INV-1001</EndToEndId></Refs>
+          <RmtInf><Ustrd>Invoice 1001 &amp; 1002</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <!-- Card payment -->
+      <Ntry>
+        <Amt Ccy="EUR">120.21</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><DtTm>2023-06-15T10:00:00</DtTm></BookgDt><ValDt><Dt>2023-06-15</Dt></ValDt>
+        <AddtlNtryInf><![CDATA[Card <payment>]]></AddtlNtryInf>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">10.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><RvslInd>true</RvslInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2023-06-20</Dt></BookgDt><ValDt><Dt>2023-06-20</Dt></ValDt>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">99.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>PDNG</Sts>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+    const mt940 = `{1:F01BANKDEFFAXXX0000000000}{2:O9401200230630BANKDEFFAXXX00000000002306301200N}{4:
+:20:STMT-2023-06
+:25:37040044/0532013000
+:28C:6/1
+:60F:C230601EUR1000,00
+:61:2306030602C250,10NTRFINV-1001//BANK-1
+Supplementary details
+:86:Invoice 1001
+ and 1002
+:61:230615D120,21NCHGNONREF
+:61:2306200620RC10,00NTRFNONREF
+:62F:C230630EUR1119,89
+-}{1:F01BANKDEFFAXXX0000000000}{2:O9401200240102BANKDEFFAXXX00000000002401021200N}{4:
+:20:STMT-2024-01
+:25:37040044/0532013000
+:28C:7/1
+:60F:D231231EUR50,00
+:61:2401021229C50,00NTRF
+:62F:C240102EUR0,00
+-}`;
+
+    function assertEntry(expected, entry) {
+        assertMoneyEq(expected.amount, entry.amount);
+        assert.deepEqual(Object.assign({}, expected, { amount: null }), Object.assign({}, entry, { amount: null }));
+    }
+
+    it('parses CAMT.053 statements', () => {
+        const statements = BankStatement.parseCamt053(camt053);
+        assert.equal(1, statements.length);
+        const [statement] = statements;
+        assert.instanceOf(statement, BankStatement);
+        assert.equal('STMT-2023-06', statement.id);
+        assert.equal('DE89370400440532013000', statement.account);
+        assert.equal(EUR, statement.currency);
+        assertMoneyEq(m('1000', EUR), statement.openingBalance.amount);
+        assert.equal('2023-06-01', statement.openingBalance.date);
+        assertMoneyEq(m('1139.89', EUR), statement.closingBalance.amount);
+        assert.equal('2023-06-30', statement.closingBalance.date);
+        assert.equal(4, statement.entries.length);
+        assertEntry({
+            amount: m('250.10', EUR),
+            creditDebit: CreditDebit.credit,
+            reversal: false,
+            booked: true,
+            bookingDate: '2023-06-02',
+            valueDate: '2023-06-03',
+            reference: 'INV-1001',
+            bankReference: 'BANK-1',
+            description: 'Invoice 1001 & 1002',
+        }, statement.entries[0]);
+        assertEntry({
+            amount: m('-120.21', EUR),
+            creditDebit: CreditDebit.debit,
+            reversal: false,
+            booked: true,
+            bookingDate: '2023-06-15',
+            valueDate: '2023-06-15',
+            reference: null,
+            bankReference: null,
+            description: 'Card <payment>',
+        }, statement.entries[1]);
+        assertMoneyEq(m('10', EUR), statement.entries[2].amount);
+        assert.equal(CreditDebit.credit, statement.entries[2].creditDebit);
+        assert.isTrue(statement.entries[2].reversal);
+        assert.isFalse(statement.entries[3].booked);
+    });
+
+    it('parses CAMT.053 statements of version 8', () => {
+        const xml = camt053.replace('camt.053.001.02', 'camt.053.001.08')
+            .replace(/<Sts>(\w+)<\/Sts>/g, '<Sts><Cd>$1</Cd></Sts>')
+            .replace(/<(\/?)(\w+)/g, '<$1c:$2')
+            .replace('<c:Document xmlns=', '<c:Document xmlns:c=');
+        const [statement] = BankStatement.parseCamt053(xml);
+        assert.deepEqual([true, true, true, false], statement.entries.map(entry => entry.booked));
+        assertMoneyEq(m('1139.89', EUR), statement.closingBalance.amount);
+    });
+
+    it('parses MT940 statements', () => {
+        const statements = BankStatement.parseMt940(mt940);
+        assert.equal(2, statements.length);
+        const [june, january] = statements;
+        assert.equal('STMT-2023-06', june.id);
+        assert.equal('37040044/0532013000', june.account);
+        assert.equal(EUR, june.currency);
+        assertMoneyEq(m('1000', EUR), june.openingBalance.amount);
+        assert.equal('2023-06-01', june.openingBalance.date);
+        assertMoneyEq(m('1119.89', EUR), june.closingBalance.amount);
+        assertEntry({
+            amount: m('250.10', EUR),
+            creditDebit: CreditDebit.credit,
+            reversal: false,
+            booked: true,
+            bookingDate: '2023-06-02',
+            valueDate: '2023-06-03',
+            reference: 'INV-1001',
+            bankReference: 'BANK-1',
+            description: 'Invoice 1001 and 1002',
+        }, june.entries[0]);
+        assertEntry({
+            amount: m('-120.21', EUR),
+            creditDebit: CreditDebit.debit,
+            reversal: false,
+            booked: true,
+            bookingDate: null,
+            valueDate: '2023-06-15',
+            reference: null,
+            bankReference: null,
+            description: null,
+        }, june.entries[1]);
+        assertMoneyEq(m('-10', EUR), june.entries[2].amount);
+        assert.isTrue(june.entries[2].reversal);
+
+        assertMoneyEq(m('-50', EUR), january.openingBalance.amount);
+        assert.equal('2023-12-29', january.entries[0].bookingDate);
+        assert.equal('2024-01-02', january.entries[0].valueDate);
+        assertMoneyEq(m('0', EUR), january.closingBalance.amount);
+    });
+
+    it('validates the balances', () => {
+        assert.throws(() => BankStatement.parseMt940(mt940.replace('1119,89', '1119,88')), RangeError, /does not balance/);
+        assert.throws(() => BankStatement.parseCamt053(camt053.replace('1139.89', '1239.89')), RangeError, /does not balance/);
+        const [statement] = BankStatement.parseCamt053(camt053.replace('1139.89', '1239.89'), { validate: false });
+        assert.throws(() => statement.validate(), RangeError);
+        assert.throws(() => BankStatement.parseMt940(mt940.replace(':61:230615D120,21', ':61:230615D120,21\n:61:230615D1,00USD')), /Invalid MT940 statement line/);
+    });
+
+    it('uses the Money class for amounts', () => {
+        const StrictMoney = Money.configure({ strict: true });
+        const [statement] = BankStatement.parseMt940(mt940, { Money: StrictMoney });
+        assert.instanceOf(statement.closingBalance.amount, StrictMoney);
+        assert.throws(() => BankStatement.parseMt940(mt940.replace(/EUR/g, 'DEM'), { Money: StrictMoney }), InvalidCurrencyError);
+    });
+
+    it('rejects invalid statements', () => {
+        assert.throws(() => BankStatement.parseCamt053('<Document><BkToCstmrStmt></BkToCstmrStmt></Document>'), TypeError, /no Stmt element/);
+        assert.throws(() => BankStatement.parseCamt053('<Document><BkToCstmrStmt><Stmt></BkToCstmrStmt></Document>'), TypeError, /Invalid XML/);
+        assert.throws(() => BankStatement.parseCamt053(camt053.replace('<Cd>CLBD</Cd>', '<Cd>ITBD</Cd>')), TypeError, /no CLBD balance/);
+        assert.throws(() => BankStatement.parseCamt053(camt053.replace('>250.10<', '>250.101<')), InvalidAmountError);
+        assert.throws(() => BankStatement.parseCamt053(camt053.replace('<CdtDbtInd>DBIT', '<CdtDbtInd>DEBIT')), TypeError, /credit debit indicator/);
+        assert.throws(() => BankStatement.parseMt940(':60F:C230601EUR1000,00'), TypeError, /before field 20/);
+        assert.throws(() => BankStatement.parseMt940(':20:X\n:25:Y\n:60F:C230601EUR1000,00'), TypeError, /no field 62F or 62M/);
+        assert.throws(() => BankStatement.parseMt940(':20:X\n:25:Y\n:60F:C230601EUR1000.00\n:62F:C230601EUR1000,00'), TypeError, /Invalid MT940 balance/);
+        assert.throws(() => BankStatement.parseMt940(''), TypeError);
+    });
+});
+
+describe('Ledger', () => {
+    async function createLedger(options) {
+        const ledger = new Ledger(options);
+        await ledger.openAccount({ id: 'cash', name: 'Cash', type: AccountType.asset });
+        await ledger.openAccount({ id: 'receivables', type: AccountType.asset });
+        await ledger.openAccount({ id: 'payables', type: AccountType.liability });
+        await ledger.openAccount({ id: 'revenue', type: AccountType.income });
+        await ledger.openAccount({ id: 'fees', type: AccountType.expense });
+        return ledger;
+    }
+
+    function bag(...moneys) {
+        return new MoneyBag(moneys);
+    }
+
+    function assertBagEq(expected, actual) {
+        assert.isTrue(expected.eq(actual), `expected ${actual} to equal ${expected}`);
+    }
+
+    async function assertRejects(promise, errorClass, pattern) {
+        try {
+            await promise;
+        } catch (e) {
+            assert.instanceOf(e, errorClass);
+            if (pattern !== undefined) {
+                assert.match(e.message, pattern);
+            }
+            return e;
+        }
+        assert.fail(`Expected ${errorClass.name} to be thrown.`);
+    }
+
+    it('posts balanced transactions', async () => {
+        const ledger = await createLedger();
+        const transaction = await ledger.post({
+            date: '2023-06-01',
+            description: 'Invoice 1001',
+            postings: [
+                { account: 'receivables', amount: m('119', EUR), side: CreditDebit.debit },
+                { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+                { account: 'payables', amount: m('19', EUR), side: CreditDebit.credit },
+            ],
+        });
+        assert.equal('1', transaction.id);
+        assert.equal('2023-06-01', transaction.date);
+        assert.equal('Invoice 1001', transaction.description);
+        assert.isFrozen(transaction);
+        assert.deepEqual(['receivables', 'revenue', 'payables'], transaction.postings.map(posting => posting.account));
+        assert.equal('2', (await ledger.post({
+            date: new Date(Date.UTC(2023, 5, 2)),
+            postings: [
+                { account: 'cash', amount: m('10', EUR), side: CreditDebit.debit },
+                { account: 'cash', amount: m('10', USD), side: CreditDebit.debit },
+                { account: 'revenue', amount: m('10', USD), side: CreditDebit.credit },
+                { account: 'revenue', amount: m('10', EUR), side: CreditDebit.credit },
+            ],
+        })).id);
+        assert.equal(2, (await ledger.transactions()).length);
+        assert.equal(1, (await ledger.transactions({ account: 'receivables' })).length);
+        assert.equal(1, (await ledger.transactions({ asOf: '2023-06-01' })).length);
+    });
+
+    it('rejects duplicate transaction ids', async () => {
+        const ledger = await createLedger();
+        const postings = [
+            { account: 'cash', amount: m('1', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('1', EUR), side: CreditDebit.credit },
+        ];
+        await ledger.post({ id: 'tx-1', date: '2023-06-01', postings });
+        const error = await assertRejects(ledger.post({ id: 'tx-1', date: '2023-06-02', postings }), InvalidOptionError, /Transaction tx-1 already exists/);
+        assert.equal('id', error.option);
+        assert.equal('2', (await ledger.post({ date: '2023-06-02', postings })).id);
+        await assertRejects(ledger.post({ id: 2, date: '2023-06-03', postings }), InvalidOptionError, /Transaction 2 already exists/);
+        await ledger.post({ id: '3', date: '2023-06-03', postings });
+        await ledger.post({ id: '5', date: '2023-06-03', postings });
+        assert.equal('4', (await ledger.post({ date: '2023-06-04', postings })).id);
+        assert.equal('6', (await ledger.post({ date: '2023-06-04', postings })).id);
+        assert.deepEqual(['tx-1', '2', '3', '5', '4', '6'], (await ledger.transactions()).map(transaction => transaction.id));
+        const other = new Ledger({ storage: ledger.storage });
+        assert.equal('7', (await other.post({ date: '2023-06-05', postings })).id);
+    });
+
+    it('rejects duplicate ids of concurrent posts', async () => {
+        const memory = new MemoryLedgerStorage();
+        const delay = value => new Promise(resolve => setImmediate(() => resolve(value)));
+        const storage = {
+            addAccount: account => delay(memory.addAccount(account)),
+            getAccount: id => delay(memory.getAccount(id)),
+            getAccounts: () => delay(memory.getAccounts()),
+            addTransaction: transaction => delay().then(() => memory.addTransaction(transaction)),
+            getTransactions: query => delay(memory.getTransactions(query)),
+        };
+        const ledger = await createLedger({ storage });
+        const postings = [
+            { account: 'cash', amount: m('1', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('1', EUR), side: CreditDebit.credit },
+        ];
+        const results = await Promise.all(['x', 'x', undefined, undefined, '1'].map(id => {
+            return ledger.post({ id, date: '2023-06-01', postings }).then(posted => posted.id, error => error);
+        }));
+        assert.deepEqual(['1', '2', '3', 'x'], memory.transactions.map(transaction => transaction.id).sort());
+        assert.equal(1, results.filter(result => result instanceof InvalidOptionError).length);
+        await assertRejects(Promise.all([
+            ledger.openAccount({ id: 'bank', type: AccountType.asset }),
+            ledger.openAccount({ id: 'bank', type: AccountType.asset }),
+        ]), InvalidOptionError, /Account bank already exists/);
+    });
+
+    it('rejects unbalanced transactions', async () => {
+        const ledger = await createLedger();
+        const post = postings => ledger.post({ date: '2023-06-01', postings });
+        await assertRejects(post([
+            { account: 'cash', amount: m('100', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('99.99', EUR), side: CreditDebit.credit },
+        ]), RangeError, /does not balance/);
+        const error = await assertRejects(post([
+            { account: 'cash', amount: m('100', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', USD), side: CreditDebit.credit },
+        ]), CurrencyMismatchError);
+        assert.equal('post', error.operation);
+        assert.deepEqual([EUR, USD], error.currencies);
+        await assertRejects(post([
+            { account: 'cash', amount: m('100', EUR), side: CreditDebit.debit },
+            { account: 'fees', amount: m('100', EUR), side: CreditDebit.debit },
+        ]), RangeError, /only debit postings/);
+        await assertRejects(post([{ account: 'cash', amount: m('100', EUR), side: CreditDebit.debit }]), RangeError, /two postings/);
+        await assertRejects(post([
+            { account: 'cash', amount: m('-100', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('-100', EUR), side: CreditDebit.credit },
+        ]), RangeError, /not positive/);
+        await assertRejects(post([
+            { account: 'bank', amount: m('100', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+        ]), RangeError, /Unknown account: bank/);
+        await assertRejects(post([
+            { account: 'cash', amount: '100', side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+        ]), InvalidAmountError);
+        await assertRejects(post([null, null]), InvalidOptionError, /Invalid posting: null/);
+        await assertRejects(post(['cash', 'revenue']), InvalidOptionError, /Invalid posting: cash/);
+        await assertRejects(post([
+            { account: 'cash', amount: m('100', EUR), side: 'left' },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+        ]), RangeError, /Invalid posting side/);
+        await assertRejects(ledger.post({ date: 'June', postings: [
+            { account: 'cash', amount: m('100', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+        ] }), RangeError, /Invalid date/);
+        assert.equal(0, (await ledger.transactions()).length);
+    });
+
+    it('rejects invalid accounts', async () => {
+        const ledger = await createLedger();
+        await assertRejects(ledger.openAccount({ id: 'cash', type: AccountType.asset }), InvalidOptionError, /already exists/);
+        await assertRejects(ledger.openAccount({ id: '', type: AccountType.asset }), InvalidOptionError);
+        await assertRejects(ledger.openAccount({ id: 'bank', type: 'cash' }), InvalidOptionError, /Invalid value for option type/);
+        assert.equal('Cash', (await ledger.getAccount('cash')).name);
+        assert.equal('payables', (await ledger.getAccount('payables')).name);
+        assert.equal(5, (await ledger.getAccounts()).length);
+    });
+
+    it('gets balances per account and date', async () => {
+        const ledger = await createLedger();
+        await ledger.post({ date: '2023-06-01', postings: [
+            { account: 'receivables', amount: m('119', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+            { account: 'payables', amount: m('19', EUR), side: CreditDebit.credit },
+        ] });
+        await ledger.post({ date: '2023-06-15', postings: [
+            { account: 'cash', amount: m('117.50', EUR), side: CreditDebit.debit },
+            { account: 'fees', amount: m('1.50', EUR), side: CreditDebit.debit },
+            { account: 'receivables', amount: m('119', EUR), side: CreditDebit.credit },
+        ] });
+        await ledger.post({ date: '2023-06-20', postings: [
+            { account: 'cash', amount: m('50', USD), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('50', USD), side: CreditDebit.credit },
+        ] });
+
+        assertBagEq(bag(m('117.5', EUR), m('50', USD)), await ledger.balance('cash'));
+        assertBagEq(bag(m('117.5', EUR)), await ledger.balance('cash', { asOf: '2023-06-15' }));
+        assertBagEq(bag(), await ledger.balance('cash', { asOf: '2023-06-01' }));
+        assertBagEq(bag(m('119', EUR)), await ledger.balance('receivables', { asOf: new Date(Date.UTC(2023, 5, 14)) }));
+        assertBagEq(bag(), await ledger.balance('receivables'));
+        assertBagEq(bag(m('100', EUR), m('50', USD)), await ledger.balance('revenue'));
+        assertBagEq(bag(m('19', EUR)), await ledger.balance('payables'));
+        assertBagEq(bag(m('1.5', EUR)), await ledger.balance('fees'));
+        await assertRejects(ledger.balance('bank'), RangeError, /Unknown account: bank/);
+    });
+
+    it('computes a trial balance', async () => {
+        const ledger = await createLedger();
+        await ledger.post({ date: '2023-06-01', postings: [
+            { account: 'cash', amount: m('119', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('100', EUR), side: CreditDebit.credit },
+            { account: 'payables', amount: m('19', EUR), side: CreditDebit.credit },
+        ] });
+        await ledger.post({ date: '2023-06-02', postings: [
+            { account: 'fees', amount: m('200', EUR), side: CreditDebit.debit },
+            { account: 'cash', amount: m('200', EUR), side: CreditDebit.credit },
+        ] });
+        const trialBalance = await ledger.trialBalance();
+        const rows = _.fromPairs(trialBalance.accounts.map(row => [row.account.id, [row.debit.toString(), row.credit.toString()]]));
+        assert.deepEqual({
+            cash: [bag().toString(), bag(m('81', EUR)).toString()],
+            receivables: [bag().toString(), bag().toString()],
+            payables: [bag().toString(), bag(m('19', EUR)).toString()],
+            revenue: [bag().toString(), bag(m('100', EUR)).toString()],
+            fees: [bag(m('200', EUR)).toString(), bag().toString()],
+        }, rows);
+        assertBagEq(bag(m('200', EUR)), trialBalance.debit);
+        assertBagEq(trialBalance.debit, trialBalance.credit);
+        assertBagEq(bag(m('119', EUR)), (await ledger.trialBalance({ asOf: '2023-06-01' })).debit);
+    });
+
+    it('uses a pluggable storage', async () => {
+        class RecordingStorage extends MemoryLedgerStorage {
+            constructor() {
+                super();
+                this.queries = [];
+            }
+
+            getTransactions(query) {
+                this.queries.push(query);
+                return super.getTransactions(query);
+            }
+        }
+        const storage = new RecordingStorage();
+        const ledger = await createLedger({ storage });
+        await ledger.post({ id: 'tx-1', date: '2023-06-01', postings: [
+            { account: 'cash', amount: m('1', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('1', EUR), side: CreditDebit.credit },
+        ] });
+        assert.equal('tx-1', storage.transactions[0].id);
+        assert.equal(5, storage.accounts.size);
+        await ledger.balance('cash', { asOf: '2023-06-30' });
+        assert.deepEqual({ account: 'cash', asOf: '2023-06-30' }, storage.queries[storage.queries.length - 1]);
+        const other = new Ledger({ storage });
+        assertBagEq(bag(m('1', EUR)), await other.balance('cash'));
+    });
+
+    it('uses an asynchronous storage', async () => {
+        const memory = new MemoryLedgerStorage();
+        const delay = value => new Promise(resolve => setImmediate(() => resolve(value)));
+        const storage = {
+            addAccount: account => delay(memory.addAccount(account)),
+            getAccount: id => delay(memory.getAccount(id)),
+            getAccounts: () => delay(memory.getAccounts()),
+            addTransaction: transaction => delay(memory.addTransaction(transaction)),
+            getTransactions: query => delay(memory.getTransactions(query)),
+        };
+        const ledger = await createLedger({ storage });
+        await assertRejects(ledger.openAccount({ id: 'cash', type: AccountType.asset }), Error, /already exists/);
+        const postings = [
+            { account: 'cash', amount: m('10', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('10', EUR), side: CreditDebit.credit },
+        ];
+        assert.equal('1', (await ledger.post({ date: '2023-06-01', postings })).id);
+        await assertRejects(ledger.post({ id: '1', date: '2023-06-01', postings }), Error, /already exists/);
+        await assertRejects(ledger.post({ date: '2023-06-01', postings: [
+            { account: 'bank', amount: m('10', EUR), side: CreditDebit.debit },
+            { account: 'revenue', amount: m('10', EUR), side: CreditDebit.credit },
+        ] }), RangeError, /Unknown account: bank/);
+        assert.equal(1, (await ledger.transactions({ account: 'cash' })).length);
+        assertBagEq(bag(m('10', EUR)), await ledger.balance('cash'));
+        assertBagEq(bag(m('10', EUR)), (await ledger.trialBalance()).credit);
+    });
+});